@@ -1,23 +1,99 @@
+const os = require("os");
+const path = require("path");
 const core = require("@actions/core");
 const { CodeReviewBot } = require("./src/code-review-bot");
-const { parseExcludePatterns } = require("./src/utils");
+const {
+  parseExcludePatterns,
+  parseContextLines,
+  parseTimeBudget,
+  parseContextBudget,
+  parsePasses,
+} = require("./src/utils");
+const { loadConfig, DEFAULT_CONFIG_PATH } = require("./src/config");
+const { DEFAULT_BASELINE_PATH } = require("./src/suppressions");
+const { DEFAULT_REPO_PROMPTS_DIR } = require("./src/prompts");
+const { writeJobSummary } = require("./src/reporters/job-summary");
 
 async function run() {
   try {
-    // Obtener configuración
-    const config = {
+    // Obtener configuración de las entradas y del archivo del repositorio
+    const inputConfig = {
       githubToken: core.getInput("github-token", { required: true }),
       awsConfig: {
-        region: core.getInput("aws-region", { required: true }),
+        region: core.getInput("aws-region") || process.env.AWS_REGION,
       },
-      bedrockModelId: core.getInput("bedrock-model-id", { required: true }),
+      provider: core.getInput("provider") || "auto",
+      modelId: core.getInput("model") || core.getInput("bedrock-model-id"),
+      apiBaseUrl: core.getInput("api-base-url"),
+      apiKey: core.getInput("api-key"),
       excludePatterns: parseExcludePatterns(core.getInput("exclude-patterns")),
+      neverSendPatterns: parseExcludePatterns(
+        core.getInput("never-send-patterns")
+      ),
+      secretScan: core.getInput("secret-scan") !== "false",
       maxFiles: parseInt(core.getInput("max-files")) || 10,
-      commentThreshold: core.getInput("comment-threshold") || "MEDIA",
+      concurrency: parseInt(core.getInput("concurrency")) || 4,
+      maxTokens: parseInt(core.getInput("max-tokens")) || 4096,
+      contextWindow: parseInt(core.getInput("context-window")) || 0,
+      contextBudget: parseContextBudget(core.getInput("context-budget")),
+      maxCostPerRun: parseFloat(core.getInput("max-cost-per-run")) || 0,
+      maxTokensPerRun: parseInt(core.getInput("max-tokens-per-run")) || 0,
+      timeBudget: parseTimeBudget(core.getInput("time-budget")),
+      commentThreshold: core.getInput("comment-threshold") || "medium",
+      commentLanguage: core.getInput("comment-language") || "en",
+      passes: parsePasses(core.getInput("passes")),
+      ignoreCategories: core
+        .getInput("ignore-categories")
+        .split(/[\s,]+/)
+        .filter(Boolean),
+      reviewScope: core.getInput("review-scope") || "diff",
+      contextLines: parseContextLines(core.getInput("context-lines")),
+      incremental: core.getInput("incremental") !== "false",
+      failOn: core.getInput("fail-on") || "none",
+      baselinePath: core.getInput("baseline") || DEFAULT_BASELINE_PATH,
+      promptsPath: core.getInput("prompts") || DEFAULT_REPO_PROMPTS_DIR,
+      guidelinesPath: core.getInput("guidelines"),
+      reportDir: path.join(
+        process.env.RUNNER_TEMP || os.tmpdir(),
+        "ai-code-review"
+      ),
     };
 
+    if (inputConfig.apiKey) {
+      core.setSecret(inputConfig.apiKey);
+    }
+
+    const config = loadConfig(
+      inputConfig,
+      core.getInput("config-path") || DEFAULT_CONFIG_PATH
+    );
+
     const bot = new CodeReviewBot(config);
-    await bot.run();
+    const report = await bot.run();
+
+    if (report) {
+      core.setOutput("total-issues", report.totalIssues);
+      core.setOutput("critical-count", report.counts.critical);
+      core.setOutput("high-count", report.counts.high);
+      const paths = report.paths || {};
+      core.setOutput("report-path", paths.json || "");
+      core.setOutput("sarif-path", paths.sarif || "");
+      core.setOutput("junit-path", paths.junit || "");
+      core.setOutput("input-tokens", report.usage.inputTokens);
+      core.setOutput("output-tokens", report.usage.outputTokens);
+      core.setOutput(
+        "estimated-cost",
+        report.usage.cost === null ? "" : report.usage.cost.toFixed(4)
+      );
+
+      await writeJobSummary(core.summary, report);
+
+      if (report.gateFailed) {
+        core.setFailed(
+          `AI code review found open issues with severity ${config.failOn} or higher`
+        );
+      }
+    }
   } catch (error) {
     core.setFailed(`Action failed: ${error.message}`);
   }
@@ -0,0 +1,109 @@
+const { severityLevel } = require("./taxonomy");
+
+const CHECK_NAME = "AI Code Review";
+// La API de checks acepta como máximo 50 anotaciones por petición
+const ANNOTATIONS_PER_REQUEST = 50;
+
+const ANNOTATION_LEVELS = {
+  critical: "failure",
+  high: "failure",
+  medium: "warning",
+  low: "notice",
+  info: "notice",
+};
+
+// ¿Hay algún hallazgo abierto con severidad igual o superior a `failOn`?
+function isGateFailed(counts, failOn) {
+  if (!failOn || failOn === "none") {
+    return false;
+  }
+  return Object.entries(counts).some(
+    ([severity, count]) =>
+      count > 0 && severityLevel(severity) >= severityLevel(failOn)
+  );
+}
+
+function getConclusion(counts, failOn) {
+  if (isGateFailed(counts, failOn)) {
+    return "failure";
+  }
+  const total = Object.values(counts).reduce((a, b) => a + b, 0);
+  return total > 0 ? "neutral" : "success";
+}
+
+// Una anotación por hallazgo abierto. Los hallazgos sobre código eliminado
+// no tienen línea en el head y se omiten
+function buildAnnotations(files) {
+  return Object.entries(files).flatMap(([path, findings]) =>
+    findings
+      .filter((finding) => finding.side !== "LEFT")
+      .map((finding) => ({
+        path,
+        start_line: finding.startLine || finding.line,
+        end_line: finding.line,
+        annotation_level: ANNOTATION_LEVELS[finding.severity] || "notice",
+        title: `${finding.severity} ${finding.category || ""}`.trim(),
+        message: finding.description,
+      }))
+  );
+}
+
+async function publishCheckRun(
+  octokit,
+  repo,
+  { headSha, files, counts, failOn, summary, detailsUrl }
+) {
+  const conclusion = getConclusion(counts, failOn);
+  const annotations = buildAnnotations(files);
+  const total = Object.values(counts).reduce((a, b) => a + b, 0);
+  const output = (batch) => ({
+    title: total
+      ? `${total} open ${total === 1 ? "issue" : "issues"}`
+      : "No open issues",
+    summary,
+    annotations: batch,
+  });
+
+  try {
+    const { data: checkRun } = await octokit.rest.checks.create({
+      ...repo,
+      name: CHECK_NAME,
+      head_sha: headSha,
+      status: "completed",
+      conclusion,
+      ...(detailsUrl ? { details_url: detailsUrl } : {}),
+      output: output(annotations.slice(0, ANNOTATIONS_PER_REQUEST)),
+    });
+
+    // Las anotaciones restantes se añaden en lotes
+    for (
+      let start = ANNOTATIONS_PER_REQUEST;
+      start < annotations.length;
+      start += ANNOTATIONS_PER_REQUEST
+    ) {
+      await octokit.rest.checks.update({
+        ...repo,
+        check_run_id: checkRun.id,
+        output: output(
+          annotations.slice(start, start + ANNOTATIONS_PER_REQUEST)
+        ),
+      });
+    }
+
+    console.log(
+      `Check run "${CHECK_NAME}" published with conclusion ${conclusion}`
+    );
+  } catch (error) {
+    console.error("Error publishing check run:", error);
+  }
+
+  return conclusion;
+}
+
+module.exports = {
+  CHECK_NAME,
+  isGateFailed,
+  getConclusion,
+  buildAnnotations,
+  publishCheckRun,
+};
@@ -0,0 +1,128 @@
+const {
+  isGateFailed,
+  getConclusion,
+  buildAnnotations,
+  publishCheckRun,
+} = require("./check-run");
+
+const repo = { owner: "o", repo: "r" };
+
+function counts(overrides = {}) {
+  return { critical: 0, high: 0, medium: 0, low: 0, info: 0, ...overrides };
+}
+
+function createOctokit() {
+  return {
+    rest: {
+      checks: {
+        create: jest.fn().mockResolvedValue({ data: { id: 7 } }),
+        update: jest.fn().mockResolvedValue({}),
+      },
+    },
+  };
+}
+
+beforeEach(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("isGateFailed", () => {
+  it("fails on findings at or above the threshold", () => {
+    expect(isGateFailed(counts({ high: 1 }), "high")).toBe(true);
+    expect(isGateFailed(counts({ critical: 1 }), "high")).toBe(true);
+    expect(isGateFailed(counts({ medium: 3 }), "high")).toBe(false);
+  });
+
+  it("never fails with fail-on none or empty", () => {
+    expect(isGateFailed(counts({ critical: 1 }), "none")).toBe(false);
+    expect(isGateFailed(counts({ critical: 1 }), "")).toBe(false);
+  });
+});
+
+describe("getConclusion", () => {
+  it("maps the open findings to failure, neutral or success", () => {
+    expect(getConclusion(counts({ high: 1 }), "high")).toBe("failure");
+    expect(getConclusion(counts({ low: 2 }), "high")).toBe("neutral");
+    expect(getConclusion(counts(), "high")).toBe("success");
+  });
+});
+
+describe("buildAnnotations", () => {
+  it("annotates the findings on the new code only", () => {
+    expect(
+      buildAnnotations({
+        "a.js": [
+          {
+            severity: "high",
+            category: "security",
+            startLine: 3,
+            line: 5,
+            description: "eval on input",
+          },
+          { severity: "low", line: 2, side: "LEFT", description: "removed" },
+        ],
+      })
+    ).toEqual([
+      {
+        path: "a.js",
+        start_line: 3,
+        end_line: 5,
+        annotation_level: "failure",
+        title: "high security",
+        message: "eval on input",
+      },
+    ]);
+  });
+});
+
+describe("publishCheckRun", () => {
+  it("sends the annotations in batches of 50", async () => {
+    const octokit = createOctokit();
+    const findings = Array.from({ length: 60 }, (_, index) => ({
+      severity: "medium",
+      category: "correctness",
+      line: index + 1,
+      description: `finding ${index}`,
+    }));
+
+    const conclusion = await publishCheckRun(octokit, repo, {
+      headSha: "abc",
+      files: { "a.js": findings },
+      counts: counts({ medium: 60 }),
+      failOn: "medium",
+      summary: "summary",
+    });
+
+    expect(conclusion).toBe("failure");
+    const [[created]] = octokit.rest.checks.create.mock.calls;
+    expect(created).toMatchObject({
+      head_sha: "abc",
+      conclusion: "failure",
+      output: { title: "60 open issues" },
+    });
+    expect(created.output.annotations).toHaveLength(50);
+    expect(
+      octokit.rest.checks.update.mock.calls[0][0].output.annotations
+    ).toHaveLength(10);
+  });
+
+  it("returns the conclusion even if the check run cannot be created", async () => {
+    const octokit = createOctokit();
+    octokit.rest.checks.create.mockRejectedValue(new Error("forbidden"));
+
+    await expect(
+      publishCheckRun(octokit, repo, {
+        headSha: "abc",
+        files: {},
+        counts: counts(),
+        failOn: "high",
+        summary: "summary",
+      })
+    ).resolves.toBe("success");
+  });
+});
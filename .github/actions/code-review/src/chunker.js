@@ -0,0 +1,108 @@
+const { estimateTokens } = require("./tokens");
+
+// Líneas de contexto que se repiten entre fragmentos consecutivos
+const OVERLAP_LINES = 10;
+
+// Inicios de funciones, clases y métodos en los lenguajes más habituales.
+// Un fragmento se corta justo antes de una de estas líneas
+const BOUNDARY_PATTERNS = [
+  /^(export\s+)?(default\s+)?(async\s+)?function\b/,
+  /^(export\s+)?(default\s+)?(abstract\s+)?class\b/,
+  /^(export\s+)?(const|let|var)\s+[\w$]+\s*=\s*(async\s+)?(function\b|\([^)]*\)\s*=>|[\w$]+\s*=>)/,
+  /^\s{0,4}(async\s+)?(def|class)\s/,
+  /^func\s/,
+  /^(pub(\(crate\))?\s+)?(fn|impl|struct|enum|trait|mod)\s/,
+  /^\s{0,4}(public|private|protected|internal|static)\s[^;=]*\(/,
+  /^\s{2}(async\s+)?(static\s+)?(get\s+|set\s+)?(?!(if|for|while|switch|catch|with)\b)[\w$#]+\s*\([^)]*\)\s*\{\s*$/,
+];
+
+// Comentarios y decoradores que acompañan a la declaración siguiente
+const LEADING_PATTERN = /^\s*(\/\/|\/\*|\*|#|@)/;
+
+function isDeclaration(line) {
+  return BOUNDARY_PATTERNS.some((pattern) => pattern.test(line));
+}
+
+// Divide `lines` en fragmentos de como mucho `maxTokens`, cortando en el
+// último límite natural de la segunda mitad de cada fragmento cuando lo hay.
+// Devuelve rangos [start, end) de índices de línea que se solapan
+// OVERLAP_LINES líneas
+function splitLines(lines, maxTokens, isBoundary) {
+  const chunks = [];
+  let start = 0;
+
+  while (start < lines.length) {
+    let end = start;
+    let tokens = 0;
+    while (end < lines.length) {
+      const lineTokens = estimateTokens(`${lines[end]}\n`);
+      if (tokens + lineTokens > maxTokens && end > start) {
+        break;
+      }
+      tokens += lineTokens;
+      end++;
+    }
+
+    if (end < lines.length) {
+      const minEnd = start + Math.ceil((end - start) / 2);
+      for (let i = end; i > minEnd; i--) {
+        if (isBoundary(lines[i])) {
+          end = i;
+          // Mantener los comentarios de la declaración en el mismo fragmento
+          while (end - 1 > minEnd && LEADING_PATTERN.test(lines[end - 1])) {
+            end--;
+          }
+          break;
+        }
+      }
+    }
+
+    chunks.push({ start, end });
+    if (end >= lines.length) {
+      break;
+    }
+    const overlap = Math.min(OVERLAP_LINES, Math.floor((end - start) / 2));
+    start = Math.max(end - overlap, start + 1);
+  }
+
+  return chunks;
+}
+
+// Fragmentos del contenido completo de un archivo. `lineOffset` es lo que hay
+// que sumar a las líneas de un hallazgo del fragmento para llevarlas al archivo
+function chunkCode(content, maxTokens) {
+  const lines = content.split("\n");
+  return splitLines(lines, maxTokens, isDeclaration).map(({ start, end }) => ({
+    text: lines.slice(start, end).join("\n"),
+    startLine: start + 1,
+    endLine: end,
+    lineOffset: start,
+  }));
+}
+
+// Fragmentos de un extracto del diff. Sus líneas ya llevan el número de
+// línea del archivo, así que no necesitan desplazamiento; se prefiere cortar
+// entre regiones ("...") y si no antes de una declaración
+function chunkExcerpt(excerpt, maxTokens) {
+  const lines = excerpt.split("\n");
+  const code = (line) => line.replace(/^\s*\d+ [+\- ] ?/, "");
+  const isBoundary = (line) => line === "..." || isDeclaration(code(line));
+
+  return splitLines(lines, maxTokens, isBoundary).map(({ start, end }) => {
+    const numbers = lines
+      .slice(start, end)
+      .map((line) => parseInt(line, 10))
+      .filter((n) => !Number.isNaN(n));
+    return {
+      text: lines
+        .slice(start, end)
+        .join("\n")
+        .replace(/^\.\.\.\n|\n\.\.\.$/g, ""),
+      startLine: Math.min(...numbers),
+      endLine: Math.max(...numbers),
+      lineOffset: 0,
+    };
+  });
+}
+
+module.exports = { chunkCode, chunkExcerpt, splitLines, isDeclaration };
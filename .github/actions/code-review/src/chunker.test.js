@@ -0,0 +1,91 @@
+const { chunkCode, chunkExcerpt, isDeclaration } = require("./chunker");
+const { estimateTokens } = require("./tokens");
+
+// Archivo de `count` funciones de `size` líneas cada una
+function makeFunctions(count, size) {
+  const lines = [];
+  for (let f = 1; f <= count; f++) {
+    lines.push(`// Helper number ${f}`, `function helper${f}(value) {`);
+    for (let n = 1; n <= size - 3; n++) {
+      lines.push(`  value = value + ${f * 100 + n};`);
+    }
+    lines.push("}");
+  }
+  return lines.join("\n");
+}
+
+describe("isDeclaration", () => {
+  it("recognizes functions, classes and methods", () => {
+    expect(isDeclaration("export async function load() {")).toBe(true);
+    expect(isDeclaration("const handler = async (event) => {")).toBe(true);
+    expect(isDeclaration("class Parser {")).toBe(true);
+    expect(isDeclaration("def parse(text):")).toBe(true);
+    expect(isDeclaration("  render(props) {")).toBe(true);
+  });
+
+  it("ignores statements that look like calls", () => {
+    expect(isDeclaration("  if (ready) {")).toBe(false);
+    expect(isDeclaration("const total = sum(values);")).toBe(false);
+  });
+});
+
+describe("chunkCode", () => {
+  it("returns a single chunk when the file fits", () => {
+    const content = makeFunctions(2, 6);
+
+    expect(chunkCode(content, 10000)).toEqual([
+      {
+        text: content,
+        startLine: 1,
+        endLine: content.split("\n").length,
+        lineOffset: 0,
+      },
+    ]);
+  });
+
+  it("covers every line with overlapping chunks within the budget", () => {
+    const content = makeFunctions(12, 20);
+    const total = content.split("\n").length;
+    const chunks = chunkCode(content, 300);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks[0].startLine).toBe(1);
+    expect(chunks[chunks.length - 1].endLine).toBe(total);
+    for (const chunk of chunks) {
+      expect(estimateTokens(chunk.text)).toBeLessThanOrEqual(300);
+      expect(chunk.lineOffset).toBe(chunk.startLine - 1);
+    }
+    for (let i = 1; i < chunks.length; i++) {
+      expect(chunks[i].startLine).toBeLessThanOrEqual(chunks[i - 1].endLine);
+      expect(chunks[i].startLine).toBeGreaterThan(chunks[i - 1].startLine);
+    }
+  });
+
+  it("cuts before a declaration and keeps its comment with it", () => {
+    const content = makeFunctions(12, 20).split("\n");
+    const [first] = chunkCode(content.join("\n"), 300);
+
+    expect(content[first.endLine - 1]).toBe("}");
+    expect(content[first.endLine]).toMatch(/^\/\/ Helper number/);
+  });
+});
+
+describe("chunkExcerpt", () => {
+  it("keeps the file line numbers and drops the region separators", () => {
+    const region = (from) =>
+      Array.from(
+        { length: 30 },
+        (_, i) => `${String(from + i).padStart(5)} + const v${from + i} = 1;`
+      );
+    const excerpt = [...region(10), "...", ...region(200)].join("\n");
+    const chunks = chunkExcerpt(excerpt, 200);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks[0]).toMatchObject({ startLine: 10, lineOffset: 0 });
+    expect(chunks[chunks.length - 1].endLine).toBe(229);
+    for (const chunk of chunks) {
+      expect(chunk.text.startsWith("...")).toBe(false);
+      expect(chunk.text.endsWith("...")).toBe(false);
+    }
+  });
+});
@@ -0,0 +1,391 @@
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { parseArgs } = require("util");
+const { createProvider } = require("./providers");
+const { ReviewEngine } = require("./review-engine");
+const { DiffParser } = require("./diff-parser");
+const { loadConfig, validateConfig, DEFAULT_CONFIG_PATH } = require("./config");
+const { countBySeverity } = require("./summary");
+const {
+  DEFAULT_BASELINE_PATH,
+  readBaseline,
+  buildBaseline,
+} = require("./suppressions");
+const { isGateFailed } = require("./check-run");
+const { loadChurn } = require("./risk");
+const { DEFAULT_NEVER_SEND_PATTERNS } = require("./secrets");
+const { DEFAULT_REPO_PROMPTS_DIR, readGuidelines } = require("./prompts");
+const { buildSarif } = require("./reporters/sarif");
+const { formatText } = require("./reporters/text");
+const { formatMarkdown } = require("./reporters/markdown");
+const {
+  parseContextLines,
+  parseTimeBudget,
+  parseContextBudget,
+  parsePasses,
+} = require("./utils");
+
+const USAGE = `Usage: ai-review [options] [paths...]
+
+Reviews the changes of the current branch (git diff <base>...HEAD), a patch
+file or a list of files with the same analysis as the GitHub Action.
+
+Options:
+  --base <ref>             Branch to diff against (default: main)
+  --patch <file>           Review a patch file instead ("-" reads stdin)
+  --format <format>        text, json, sarif or markdown (default: text)
+  --fail-on <severity>     critical, high, medium, low, info or none
+                           (default: high)
+  --config <path>          Repository config file (default: ${DEFAULT_CONFIG_PATH})
+  --provider <name>        LLM provider, or "mock" to run offline
+  --model <id>             Model id
+  --api-base-url <url>     Endpoint of the anthropic or openai providers
+  --region <region>        AWS region for the Bedrock providers
+  --exclude <patterns>     Comma separated patterns to skip
+  --ignore-categories <list>
+                           Comma separated categories whose findings are
+                           dropped
+  --never-send <patterns>  Comma separated patterns of files that are only
+                           scanned for secrets, never sent to the model
+                           (added to .env*, *.pem, *.key and similar)
+  --no-secret-scan         Do not scan for secrets nor redact them from the
+                           prompts
+  --max-files <n>          Maximum number of files to review (default: 50)
+  --concurrency <n>        Files analyzed in parallel (default: 4)
+  --max-tokens <n>         Maximum tokens of each model response (default: 4096)
+  --context-window <n>     Context window of the model, in tokens
+  --context-budget <n>     Tokens of related files added to each prompt
+                           (default: 2000, 0 disables it)
+  --time-budget <minutes>  Stop starting new files after this time
+  --max-cost-per-run <usd> Stop starting new files once this cost is spent
+  --max-tokens-per-run <n> Stop starting new files once these tokens are spent
+  --context-lines <n>      Context lines around each change (default: 3)
+  --passes <names>         Comma separated review passes: general, security,
+                           performance, correctness, maintainability, tests
+                           (default: general)
+  --comment-language <en|es>
+                           Language of the finding descriptions (default: en)
+  --prompts <dir>          Directory with system.md and review.md templates
+                           that replace the bundled prompts
+                           (default: ${DEFAULT_REPO_PROMPTS_DIR})
+  --guidelines <path|none> Review guidelines added to every prompt
+                           (default: REVIEW_GUIDELINES.md or CONTRIBUTING.md)
+  --baseline <path>        Accepted findings that are not reported
+                           (default: ${DEFAULT_BASELINE_PATH})
+  --update-baseline        Write the findings of this run to the baseline
+                           instead of reporting them
+  --mock-response <file>   Model response returned by the mock provider
+  --dump-prompts <dir>     Save the prompts sent to the mock provider
+  --verbose                Print progress messages to stderr
+  -h, --help               Show this help
+
+Environment: AI_REVIEW_PROVIDER, AI_REVIEW_MODEL, AI_REVIEW_API_KEY, AWS_REGION
+
+Exit codes: 0 no issues at or above --fail-on, 1 issues at or above
+--fail-on, 2 invalid usage or review error.`;
+
+const OPTIONS = {
+  base: { type: "string", default: "main" },
+  patch: { type: "string" },
+  format: { type: "string", default: "text" },
+  "fail-on": { type: "string" },
+  config: { type: "string", default: DEFAULT_CONFIG_PATH },
+  provider: { type: "string" },
+  model: { type: "string" },
+  "api-base-url": { type: "string" },
+  region: { type: "string" },
+  exclude: { type: "string" },
+  "ignore-categories": { type: "string" },
+  "never-send": { type: "string" },
+  "no-secret-scan": { type: "boolean", default: false },
+  "max-files": { type: "string" },
+  concurrency: { type: "string" },
+  "max-tokens": { type: "string" },
+  "context-window": { type: "string" },
+  "context-budget": { type: "string" },
+  "time-budget": { type: "string" },
+  "max-cost-per-run": { type: "string" },
+  "max-tokens-per-run": { type: "string" },
+  "context-lines": { type: "string" },
+  passes: { type: "string" },
+  "comment-language": { type: "string" },
+  prompts: { type: "string" },
+  guidelines: { type: "string" },
+  baseline: { type: "string" },
+  "update-baseline": { type: "boolean", default: false },
+  "mock-response": { type: "string" },
+  "dump-prompts": { type: "string" },
+  verbose: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+const FORMATTERS = {
+  text: formatText,
+  markdown: formatMarkdown,
+  json: (report) => `${JSON.stringify(report, null, 2)}\n`,
+  sarif: (report) =>
+    `${JSON.stringify(buildSarif(report.findings), null, 2)}\n`,
+};
+
+const EXIT_OK = 0;
+const EXIT_ISSUES = 1;
+const EXIT_ERROR = 2;
+
+function git(args, cwd) {
+  return execFileSync("git", args, {
+    cwd,
+    encoding: "utf-8",
+    maxBuffer: 64 * 1024 * 1024,
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+}
+
+// Raíz del repositorio git, o el directorio actual fuera de un repositorio
+function findWorkspace() {
+  try {
+    return git(["rev-parse", "--show-toplevel"], process.cwd()).trim();
+  } catch (error) {
+    return process.cwd();
+  }
+}
+
+// Listas separadas por comas de las opciones (--exclude, --never-send,
+// --ignore-categories)
+function parseList(value) {
+  return (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+// Configuración con las mismas reglas que la acción. Las opciones pasadas
+// explícitamente tienen prioridad sobre el archivo del repositorio
+function buildConfig(options, workspace) {
+  const provider = options.provider || process.env.AI_REVIEW_PROVIDER || "auto";
+  const inputConfig = {
+    awsConfig: { region: options.region || process.env.AWS_REGION },
+    provider,
+    modelId:
+      options.model ||
+      process.env.AI_REVIEW_MODEL ||
+      (provider === "mock" ? "mock" : ""),
+    apiBaseUrl: options["api-base-url"],
+    apiKey: process.env.AI_REVIEW_API_KEY,
+    excludePatterns: parseList(options.exclude),
+    ignoreCategories: parseList(options["ignore-categories"]),
+    neverSendPatterns: [
+      ...DEFAULT_NEVER_SEND_PATTERNS,
+      ...parseList(options["never-send"]),
+    ],
+    secretScan: true,
+    maxFiles: parseInt(options["max-files"]) || 50,
+    concurrency: parseInt(options.concurrency) || 4,
+    maxTokens: parseInt(options["max-tokens"]) || 4096,
+    contextWindow: parseInt(options["context-window"]) || 0,
+    contextBudget: parseContextBudget(options["context-budget"]),
+    timeBudget: parseTimeBudget(options["time-budget"]),
+    maxCostPerRun: parseFloat(options["max-cost-per-run"]) || 0,
+    maxTokensPerRun: parseInt(options["max-tokens-per-run"]) || 0,
+    commentThreshold: "low",
+    commentLanguage: "en",
+    reviewScope: "diff",
+    contextLines: parseContextLines(options["context-lines"] || ""),
+    incremental: false,
+    failOn: "high",
+    baselinePath: DEFAULT_BASELINE_PATH,
+    promptsPath: DEFAULT_REPO_PROMPTS_DIR,
+    guidelinesPath: "",
+    // Solo la CLI puede usar el proveedor "mock"
+    allowMockProvider: true,
+    mockResponse: options["mock-response"],
+    mockPromptDir: options["dump-prompts"],
+  };
+
+  const config = loadConfig(inputConfig, options.config, workspace);
+  const explicit = {
+    provider: options.provider,
+    modelId: options.model,
+    apiBaseUrl: options["api-base-url"],
+    failOn: options["fail-on"],
+    commentLanguage: options["comment-language"],
+    passes: options.passes && parsePasses(options.passes),
+    promptsPath: options.prompts,
+  };
+  for (const [key, value] of Object.entries(explicit)) {
+    if (value !== undefined) {
+      config[key] = value;
+    }
+  }
+  if (options.region) {
+    config.awsConfig.region = options.region;
+  }
+  if (options["no-secret-scan"]) {
+    config.secretScan = false;
+  }
+  if (options.baseline) {
+    config.baselinePath = options.baseline;
+    config.baseline = readBaseline(options.baseline, workspace);
+  }
+  if (options.guidelines) {
+    config.guidelinesPath = options.guidelines;
+    config.guidelines = readGuidelines(options.guidelines, workspace);
+  }
+  return validateConfig(config);
+}
+
+// Archivos a revisar con su patch y la función que lee su contenido
+function collectFiles(options, positionals, workspace) {
+  const diffParser = new DiffParser();
+  const readFromDisk = (file) =>
+    fs.readFileSync(path.join(workspace, file.filename), "utf-8");
+
+  if (positionals.length > 0) {
+    const files = positionals
+      .flatMap((target) => listFiles(path.resolve(target)))
+      .map((fullPath) => ({
+        filename: path.relative(workspace, fullPath).split(path.sep).join("/"),
+        patch: null,
+      }));
+    return {
+      files,
+      loadContent: readFromDisk,
+      loadFile: (filename) => readFromDisk({ filename }),
+      fullFiles: true,
+    };
+  }
+
+  if (options.patch) {
+    const patch = fs.readFileSync(
+      options.patch === "-" ? 0 : options.patch,
+      "utf-8"
+    );
+    return {
+      files: diffParser.splitDiff(patch),
+      loadContent: readFromDisk,
+      loadFile: (filename) => readFromDisk({ filename }),
+    };
+  }
+
+  const diff = git(["diff", `${options.base}...HEAD`], workspace);
+  return {
+    files: diffParser.splitDiff(diff),
+    loadContent: (file) => git(["show", `HEAD:${file.filename}`], workspace),
+    loadFile: (filename) => git(["show", `HEAD:${filename}`], workspace),
+  };
+}
+
+function listFiles(target) {
+  if (!fs.statSync(target).isDirectory()) {
+    return [target];
+  }
+  return fs
+    .readdirSync(target)
+    .filter((entry) => entry !== ".git" && entry !== "node_modules")
+    .flatMap((entry) => listFiles(path.join(target, entry)));
+}
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: OPTIONS,
+      allowPositionals: true,
+    });
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return EXIT_ERROR;
+  }
+
+  const { values: options, positionals } = parsed;
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+
+  const format = FORMATTERS[options.format];
+  if (!format) {
+    console.error(
+      `Invalid format "${options.format}", expected one of: ${Object.keys(
+        FORMATTERS
+      ).join(", ")}`
+    );
+    return EXIT_ERROR;
+  }
+
+  // La salida estándar queda reservada para el informe
+  console.log = options.verbose ? console.error : () => {};
+
+  try {
+    const workspace = findWorkspace();
+    const config = buildConfig(options, workspace);
+    const { files, loadContent, loadFile, fullFiles } = collectFiles(
+      options,
+      positionals,
+      workspace
+    );
+    if (fullFiles) {
+      config.reviewScope = "full";
+    }
+    // Al regenerar la línea base se necesitan todos los hallazgos actuales
+    const previousBaseline = config.baseline;
+    if (options["update-baseline"]) {
+      config.baseline = [];
+    }
+
+    const engine = new ReviewEngine(config, createProvider(config));
+    const { results, skipped } = await engine.reviewFiles(files, {
+      loadContent,
+      loadFile,
+      churn: loadChurn(workspace),
+    });
+
+    const findings = results.flatMap((result) =>
+      result.analysis.map((issue) => ({ path: result.path, ...issue }))
+    );
+
+    if (options["update-baseline"]) {
+      fs.writeFileSync(
+        path.resolve(workspace, config.baselinePath),
+        buildBaseline(
+          previousBaseline,
+          findings,
+          new Set(
+            results
+              .filter((result) => !result.error)
+              .map((result) => result.path)
+          )
+        )
+      );
+      console.error(
+        `Wrote ${findings.length} findings to ${config.baselinePath}`
+      );
+      return skipped.some((file) => file.reason === "error")
+        ? EXIT_ERROR
+        : EXIT_OK;
+    }
+
+    const counts = countBySeverity(findings);
+    const report = {
+      model: config.modelId,
+      totalIssues: findings.length,
+      counts,
+      gateFailed: isGateFailed(counts, config.failOn),
+      usage: engine.usage.toJSON(),
+      findings,
+      skipped,
+    };
+
+    process.stdout.write(format(report));
+    if (skipped.some((file) => file.reason === "error")) {
+      return EXIT_ERROR;
+    }
+    return report.gateFailed ? EXIT_ISSUES : EXIT_OK;
+  } catch (error) {
+    console.error(`ai-review: ${error.message}`);
+    return EXIT_ERROR;
+  }
+}
+
+module.exports = { main, buildConfig, collectFiles };
@@ -1,655 +1,1312 @@
 const github = require("@actions/github");
-const {
-  BedrockRuntimeClient,
-  InvokeModelCommand,
-} = require("@aws-sdk/client-bedrock-runtime");
 const { DiffParser } = require("./diff-parser");
-const { shouldAnalyzeFile, severityLevel } = require("./utils");
+const { createProvider } = require("./providers");
+const { ReviewEngine } = require("./review-engine");
+const { withRetry, isRetryableGitHubError } = require("./retry");
+const { FindingTracker } = require("./finding-tracker");
+const {
+  SUMMARY_MARKER,
+  parseSummaryState,
+  updateSummaryState,
+  removeFindings,
+  dismissFinding,
+  applyCommentLinks,
+  getOverallCounts,
+  countBySeverity,
+  renderSummary,
+  formatPasses,
+} = require("./summary");
+const { publishCheckRun, isGateFailed } = require("./check-run");
+const { writeReports } = require("./reporters");
+const {
+  codeAround,
+  buildThreadPrompt,
+  buildPullRequestPrompt,
+  buildExplainPrompt,
+  buildDescriptionPrompt,
+  applyGeneratedDescription,
+} = require("./conversation");
+const { parseCommand, hasPermission, parseLineRange } = require("./commands");
+const { parseBaseline, buildBaseline } = require("./suppressions");
+const { severityLevel, SEVERITY_ICONS } = require("./taxonomy");
+const { loadChurn } = require("./risk");
+const { isNeverSend, isSecretFinding } = require("./secrets");
+const { getLocale } = require("./locales");
+const {
+  resolvePathConfig,
+  matchesAny,
+  formatLineRange,
+  toReplacementCode,
+  fenceCode,
+  buildFixMetadata,
+  extractFixMetadata,
+  buildFingerprintMarker,
+  extractFingerprint,
+  markAsReply,
+  markAsReview,
+  isBotReview,
+  isBotComment,
+  isWrittenByBot,
+} = require("./utils");
+
+// Límite de archivos que `pulls.listFiles` devuelve para un PR
+const MAX_LISTED_FILES = 3000;
 
 class CodeReviewBot {
   constructor(config) {
     this.config = config;
     this.octokit = github.getOctokit(config.githubToken);
-    this.bedrock = new BedrockRuntimeClient(config.awsConfig);
+    // Reintentar las llamadas a GitHub que fallan por límites de uso, y las
+    // lecturas que fallan con 5xx
+    this.octokit.hook.wrap("request", (request, options) =>
+      withRetry(() => request(options), {
+        isRetryable: (error) => isRetryableGitHubError(error, options.method),
+        label: `GitHub ${options.method} ${options.url}`,
+      })
+    );
+    this.provider = createProvider(config);
+    this.engine = new ReviewEngine(config, this.provider);
     this.context = github.context;
     this.diffParser = new DiffParser();
-    this.bedrockModelId = config.bedrockModelId;
   }
 
+  // Devuelve el informe de la revisión en eventos de pull_request y con
+  // el comando `/review`
   async run() {
     if (this.context.eventName === "pull_request") {
-      await this.handlePullRequest();
-    } else if (this.context.eventName === "issue_comment") {
-      await this.handleComment();
+      return this.handlePullRequest();
+    } else if (
+      this.context.eventName === "issue_comment" ||
+      this.context.eventName === "pull_request_review_comment"
+    ) {
+      return this.handleComment();
     }
   }
 
-  async getPRFiles() {
-    const { data: files } = await this.octokit.rest.pulls.listFiles({
-      ...this.context.repo,
-      pull_number: this.context.payload.pull_request.number,
-    });
-    return files;
+  // Login de la cuenta del token, o null si el token no puede consultarlo
+  // (GITHUB_TOKEN y los tokens de GitHub Apps)
+  async getBotLogin() {
+    if (this.botLogin === undefined) {
+      try {
+        const { data } = await this.octokit.rest.users.getAuthenticated();
+        this.botLogin = data.login || null;
+      } catch (error) {
+        this.botLogin = null;
+      }
+    }
+    return this.botLogin;
   }
 
-  async handlePullRequest() {
-    const files = await this.getPRFiles();
-    let analyzedFiles = 0;
-    const analysisResults = []; // Almacenar resultados para el resumen
+  // Número del PR tanto en eventos de pull_request como de comentarios
+  getPullRequestNumber() {
+    const { pull_request, issue } = this.context.payload;
+    return pull_request ? pull_request.number : issue.number;
+  }
 
-    for (const file of files) {
-      if (analyzedFiles >= this.config.maxFiles) {
-        break;
-      }
+  // Obtiene el PR y sus archivos una sola vez por ejecución
+  async loadPullRequest() {
+    if (!this.pullRequest) {
+      const { data: pullRequest } = await this.octokit.rest.pulls.get({
+        ...this.context.repo,
+        pull_number: this.getPullRequestNumber(),
+      });
+      this.pullRequest = pullRequest;
+    }
+    return this.pullRequest;
+  }
 
-      if (!shouldAnalyzeFile(file.filename, this.config.excludePatterns)) {
-        continue;
+  // Todos los archivos del PR, página a página (la API devuelve 30 por
+  // defecto y como máximo 3000 en total)
+  async getPRFiles() {
+    if (!this.prFiles) {
+      this.prFiles = await this.octokit.paginate(
+        this.octokit.rest.pulls.listFiles,
+        {
+          ...this.context.repo,
+          pull_number: this.getPullRequestNumber(),
+          per_page: 100,
+        }
+      );
+      if (this.prFiles.length >= MAX_LISTED_FILES) {
+        console.warn(
+          `GitHub lists at most ${MAX_LISTED_FILES} files of a pull request, the rest will not be reviewed`
+        );
       }
+    }
+    return this.prFiles;
+  }
 
-      try {
-        const content = await this.getFileContent(file.filename);
-        const analysis = await this.analyzeCode(content, file.filename);
+  // Archivos del PR cuyo patch se puede enviar al modelo en las
+  // conversaciones (sin los de `never-send-patterns`)
+  async getSendableFiles() {
+    return (await this.getPRFiles()).filter(
+      (file) => !isNeverSend(file.filename, this.config)
+    );
+  }
 
-        // Guardar los resultados del análisis
-        analysisResults.push({
-          path: file.filename,
-          analysis: analysis,
-        });
+  // `paths` limita la revisión a los archivos que coinciden con esos globs
+  // (`/review <paths>`)
+  async handlePullRequest({ paths = null } = {}) {
+    await this.loadPullRequest();
+    const summaryComment = await this.findSummaryComment();
+    const previousState = summaryComment
+      ? parseSummaryState(summaryComment.body)
+      : null;
+    this.incremental = await this.loadIncrementalChanges(previousState);
+    const files = (await this.getPRFiles()).filter(
+      (file) =>
+        (!this.incremental || this.incremental.files.has(file.filename)) &&
+        (!paths || matchesAny(file.filename, paths))
+    );
 
-        await this.createReviewComments(file.filename, analysis);
-        analyzedFiles++;
-      } catch (error) {
-        console.error(`Error analyzing ${file.filename}:`, error);
-        // Añadir un resultado vacío para mantener el conteo
-        analysisResults.push({
-          path: file.filename,
-          analysis: [],
-          error: error.message,
-        });
-      }
+    if (this.incremental && files.length === 0) {
+      console.log(
+        `No changes to review since ${this.incremental.baseSha}, skipping review`
+      );
+      return this.buildRunReport(previousState, []);
     }
+    const { results: analysisResults, skipped: skippedFiles } =
+      await this.engine.reviewFiles(files, {
+        loadContent: (file) => this.getFileContent(file.filename),
+        getDiff: (file, content) => this.getReviewDiff(file, content),
+        loadFile: async (path) =>
+          (
+            await this.getFile(path, this.pullRequest.head.sha)
+          ).content,
+        churn: loadChurn(process.env.GITHUB_WORKSPACE || process.cwd()),
+        prFiles: (await this.getPRFiles()).map((file) => file.filename),
+      });
 
-    // Crear el comentario de resumen al final
-    await this.createSummaryComment(analysisResults);
-  }
-
-  async handleComment() {
-    const comment = this.context.payload.comment;
-    if (comment.body.trim() === "/apply-fix") {
-      await this.handleApplyFix(comment);
+    // Omitir los hallazgos descartados con /dismiss o /false-positive
+    const dismissed = new Set(
+      Object.keys((previousState && previousState.dismissed) || {})
+    );
+    for (const result of analysisResults) {
+      result.analysis = result.analysis.filter(
+        (issue) => !dismissed.has(issue.fingerprint)
+      );
     }
-  }
 
-  async analyzeCode(content, filename) {
-    const messages = this.buildPromptMessages(content, filename);
-    const response = await this.invokeBedrock(messages);
-    return this.parseAnalysis(response);
-  }
+    // Comentarios en línea para la revisión única. Los hallazgos que no se
+    // pueden ubicar en el diff solo aparecen en el resumen
+    const reviewComments = analysisResults
+      .filter((result) => !result.error)
+      .flatMap(
+        (result) =>
+          this.buildReviewComments(result.file, result.analysis, result.content)
+            .comments
+      );
+
+    // Comparar con los hallazgos ya publicados para no duplicarlos
+    const tracker = await new FindingTracker(
+      this.octokit,
+      this.context,
+      this.getPullRequestNumber(),
+      this.config.commentLanguage,
+      await this.getBotLogin()
+    ).load();
+    tracker.markSeen([
+      ...analysisResults.flatMap((result) =>
+        result.analysis.map((issue) => issue.fingerprint)
+      ),
+      ...dismissed,
+    ]);
+    const newComments = await tracker.sync(reviewComments);
+
+    // El estado acumulado del PR decide el evento de la revisión
+    const state = updateSummaryState(previousState, {
+      sha: this.pullRequest.head.sha,
+      results: analysisResults,
+      skipped: skippedFiles,
+      model: this.config.modelId,
+      incrementalBase: this.incremental && this.incremental.baseSha,
+      partial: Boolean(paths),
+      usage: this.engine.usage.toJSON(),
+      // Los hallazgos de archivos eliminados o renombrados dejan de contar
+      paths: new Set(
+        (await this.getPRFiles())
+          .filter((file) => file.status !== "removed")
+          .map((file) => file.filename)
+      ),
+    });
+    const event = this.getReviewEvent(getOverallCounts(state));
+
+    // Publicar los hallazgos nuevos en una sola revisión, solo si hay
+    // comentarios nuevos o cambia el veredicto
+    const links = tracker.getCommentLinks();
+    if (newComments.length > 0 || event !== state.lastEvent) {
+      const posted = await this.submitReview(newComments, event);
+      if (posted) {
+        state.lastEvent = posted.event;
+        posted.links.forEach((url, fingerprint) => links.set(fingerprint, url));
+      }
+      // Una aprobación reemplaza a la petición de cambios anterior del bot;
+      // si no se pudo aprobar, esa petición seguiría bloqueando el PR
+      if (
+        event !== "REQUEST_CHANGES" &&
+        (!posted || posted.event !== "APPROVE")
+      ) {
+        await this.dismissBlockingReviews();
+      }
+    }
 
-  buildPromptMessages(content, filename) {
-    // Determinar la extensión del archivo para usarla en el formateo de código
-    const extension = filename.split(".").pop().toLowerCase();
+    const summaryBody = await this.publishSummary(
+      summaryComment,
+      applyCommentLinks(state, links)
+    );
 
-    // System prompt ahora usa el mismo formato que el user prompt con type y text
-    const systemPrompt = {
-      role: "system",
-      content: [
-        {
-          type: "text",
-          text: `## Code Review Assistant
-You are an expert code reviewer with deep knowledge of best practices, security patterns, and clean code principles.
-
-## Your Role
-Analyze code files and provide detailed, constructive feedback on:
-1. Security vulnerabilities
-2. Performance issues
-3. Code style/quality concerns
-4. Logic errors
-5. Best practice violations
-
-## Output Format
-Return your analysis as a JSON array of issues:
-[
-  {
-    "severity": "ALTA",
-    "line": 42,
-    "description": "Concise issue description",
-    "solution": "Fixed code example",
-    "explanation": "Why this fix improves the code"
-  }
-]
-
-For each issue found, provide:
-- SEVERITY: Rate as CRÍTICA (critical), ALTA (high), MEDIA (medium), or BAJA (low)
-- LOCATION: Line number(s) where the issue appears
-- DESCRIPTION: Clear explanation of the problem
-- SOLUTION: Concrete code example showing how to fix it
-- EXPLANATION: Brief explanation of why your solution is better
-If no issues are found, return an empty array: []`,
-        },
-      ],
-    };
+    await publishCheckRun(this.octokit, this.context.repo, {
+      headSha: this.pullRequest.head.sha,
+      files: state.files,
+      counts: getOverallCounts(state),
+      failOn: this.config.failOn,
+      summary: summaryBody,
+    });
 
-    // User prompt ahora se enfoca en enviar los archivos y cambios
-    const userPrompt = {
-      role: "user",
-      content: [
-        {
-          type: "text",
-          text: `## Code Review Assistant
-You are an expert code reviewer with deep knowledge of best practices, security patterns, and clean code principles.
-
-## Your Role
-Analyze code files and provide detailed, constructive feedback on:
-1. Security vulnerabilities
-2. Performance issues
-3. Code style/quality concerns
-4. Logic errors
-5. Best practice violations
-
-## Output Format
-Return your analysis as a JSON array of issues:
-[
-  {
-    "severity": "ALTA",
-    "line": 42,
-    "description": "Concise issue description",
-    "solution": "Fixed code example",
-    "explanation": "Why this fix improves the code"
-  }
-]
-
-For each issue found, provide:
-- SEVERITY: Rate as CRÍTICA (critical), ALTA (high), MEDIA (medium), or BAJA (low)
-- LOCATION: Line number(s) where the issue appears
-- DESCRIPTION: Clear explanation of the problem
-- SOLUTION: Concrete code example showing how to fix it
-- EXPLANATION: Brief explanation of why your solution is better
-If no issues are found, return an empty array: []
-          ## File to Review
-Filename: ${filename}
-File type: ${extension}
-
-## Code Content
-\`\`\`${extension}
-${content}
-\`\`\`
-
-Please analyze this file and identify any issues according to the criteria in your instructions.`,
-        },
-      ],
-    };
+    // Resolver los hilos de hallazgos que ya no aparecen
+    await tracker.resolveStale(
+      new Map(
+        analysisResults
+          .filter((result) => !result.error)
+          .map((result) => [result.path, result.changedLines])
+      ),
+      this.pullRequest.head.sha
+    );
 
-    return [userPrompt];
+    return this.buildRunReport(state, analysisResults);
   }
 
-  async invokeBedrock(messages) {
-    let payload = {
-      modelId: this.bedrockModelId,
-      contentType: "application/json",
-      accept: "application/json",
+  // Informe de la ejecución: totales abiertos del PR, hallazgos de esta
+  // ejecución y si se alcanzó la severidad de `fail-on`
+  buildRunReport(state, results) {
+    const counts = state ? getOverallCounts(state) : countBySeverity([]);
+    const findings = results.flatMap((result) =>
+      result.analysis.map((issue) => ({ path: result.path, ...issue }))
+    );
+    const reviewedPaths = new Set(
+      results.filter((result) => !result.error).map((result) => result.path)
+    );
+    const report = {
+      pullRequest: this.getPullRequestNumber(),
+      headSha: this.pullRequest.head.sha,
+      model: this.config.modelId,
+      totalIssues: Object.values(counts).reduce((a, b) => a + b, 0),
+      counts,
+      gateFailed: isGateFailed(counts, this.config.failOn),
+      usage: this.engine.usage.toJSON(),
+      findings,
+      // Todos los hallazgos abiertos: los detallados de esta ejecución y los
+      // guardados en el resumen para los archivos que no se revisaron ahora
+      openFindings: [
+        ...findings,
+        ...Object.entries(state ? state.files : {})
+          .filter(([path]) => !reviewedPaths.has(path))
+          .flatMap(([path, fileFindings]) =>
+            fileFindings.map((finding) => ({ path, ...finding }))
+          ),
+      ],
+      reviewedFiles: [
+        ...new Set([
+          ...reviewedPaths,
+          ...Object.keys(state ? state.files : {}),
+        ]),
+      ],
+      skipped: state ? state.skipped : [],
     };
 
-    if (this.bedrockModelId.includes("anthropic")) {
-      payload.body = JSON.stringify({
-        anthropic_version: "bedrock-2023-05-31",
-        max_tokens: 4096,
-        messages: messages,
-      });
-    } else if (this.bedrockModelId.includes("amazon")) {
-      payload.body = JSON.stringify({
-        inferenceConfig: {
-          max_tokens: 1000,
-          temperature: 0.2, // Temperatura baja para respuestas más precisas
-        },
-        messages: messages,
-      });
-    } else {
-      // Soporte genérico para otros modelos
-      payload.body = JSON.stringify({
-        messages: messages,
-        max_tokens: 4096,
-        temperature: 0.2,
-      });
+    try {
+      report.paths = writeReports(this.config.reportDir, report);
+    } catch (error) {
+      console.error("Error writing the review reports:", error);
     }
-
-    const command = new InvokeModelCommand(payload);
-    const response = await this.bedrock.send(command);
-    return JSON.parse(new TextDecoder().decode(response.body));
+    return report;
   }
 
-  async createReviewComments(path, analysis) {
-    const filteredIssues = analysis.filter(
-      (issue) =>
-        severityLevel(issue.severity) >=
-        severityLevel(this.config.commentThreshold)
+  // Busca el comentario de resumen publicado en ejecuciones anteriores. Su
+  // estado decide qué se revisa y qué hallazgos están descartados, así que
+  // se ignoran las copias del marcador escritas por otros autores
+  async findSummaryComment() {
+    const comments = await this.octokit.paginate(
+      this.octokit.rest.issues.listComments,
+      {
+        ...this.context.repo,
+        issue_number: this.getPullRequestNumber(),
+        per_page: 100,
+      }
+    );
+    const botLogin = await this.getBotLogin();
+    return comments.find(
+      (comment) =>
+        (comment.body || "").startsWith(SUMMARY_MARKER) &&
+        isWrittenByBot(comment, botLogin)
     );
+  }
 
-    for (const issue of filteredIssues) {
-      console.log("ISSUE:::::", issue);
-      const commentBody = this.formatComment(issue);
-      await this.createComment(path, commentBody, issue.line);
+  // Edita el resumen existente o lo crea la primera vez
+  async publishSummary(summaryComment, state) {
+    const body = renderSummary(state, {
+      provider: this.provider.displayName,
+      model: this.config.modelId,
+      language: this.config.commentLanguage,
+    });
+
+    try {
+      if (summaryComment) {
+        await this.octokit.rest.issues.updateComment({
+          ...this.context.repo,
+          comment_id: summaryComment.id,
+          body,
+        });
+      } else {
+        await this.octokit.rest.issues.createComment({
+          ...this.context.repo,
+          issue_number: this.getPullRequestNumber(),
+          body,
+        });
+      }
+      console.log("Summary comment published successfully");
+    } catch (error) {
+      console.error("Error publishing summary comment:", error);
     }
+    return body;
   }
 
-  formatComment(issue) {
-    // Mapeo de severidad a emojis e iconos
-    const severityIcons = {
-      CRÍTICA: "🔴 CRITICAL",
-      ALTA: "🟠 HIGH",
-      MEDIA: "🟡 MEDIUM",
-      BAJA: "🔵 LOW",
-    };
+  async handleComment() {
+    const { comment, issue } = this.context.payload;
 
-    // Formato mejorado para el código
-    const codeBlock = issue.solution || issue.code || "";
+    // Nunca responder a los comentarios del propio bot
+    if (isBotComment(comment)) {
+      return;
+    }
+    // issue_comment también llega para las issues que no son PRs
+    if (issue && !issue.pull_request) {
+      return;
+    }
 
-    return `
-## 🔍 Code Review Findings
+    const command = parseCommand(comment.body);
+    if (!command) {
+      // Cualquier otra respuesta en el hilo de un hallazgo es una pregunta
+      if (
+        comment.in_reply_to_id &&
+        (await this.hasPermission(comment.user.login, "write"))
+      ) {
+        await this.handleQuestion(comment, comment.body.trim(), {
+          findingsOnly: true,
+        });
+      }
+      return;
+    }
 
-### ${severityIcons[issue.severity] || issue.severity} Issue Detected
+    const text = getLocale(this.config.commentLanguage).replies;
+    if (!(await this.hasPermission(comment.user.login, command.permission))) {
+      await this.replyTo(comment)(
+        text.permissionDenied(
+          comment.user.login,
+          command.name,
+          command.permission
+        )
+      );
+      return;
+    }
 
-**Issue:** ${issue.description || issue.issue}
+    // GitHub no tiene reacciones ✅/❌: 👍 y 😕 marcan el resultado
+    await this.react(comment, "eyes");
+    let result = false;
+    try {
+      result = await this.runCommand(command, comment);
+    } catch (error) {
+      console.error(`Error running /${command.name}:`, error);
+      await this.replyTo(comment)(
+        text.commandFailed(command.name, error.message)
+      );
+    }
+    await this.react(comment, result === false ? "confused" : "+1");
 
-**Recommendation:** ${issue.explanation || issue.suggestion}
+    return command.name === "review" && result ? result : undefined;
+  }
 
-### Suggested Solution:
+  // Ejecuta un comando; devuelve false si no se pudo completar
+  async runCommand({ name, args }, comment) {
+    const { usage } = getLocale(this.config.commentLanguage).replies;
+    switch (name) {
+      case "review":
+        return this.handleReviewCommand(comment, args);
+      case "summary":
+        return this.handleSummaryCommand(comment);
+      case "explain":
+        return this.handleExplainCommand(comment, args);
+      case "ai":
+        if (!args) {
+          await this.replyTo(comment)(usage.ai);
+          return false;
+        }
+        return this.handleQuestion(comment, args);
+      case "apply-fix":
+        return this.handleApplyFix(comment);
+      case "dismiss":
+      case "false-positive":
+        return this.handleDismiss(comment, name, args);
+      case "ai-review":
+        if (args !== "baseline") {
+          await this.replyTo(comment)(usage["ai-review"]);
+          return false;
+        }
+        return this.handleBaselineCommand(comment);
+    }
+  }
 
-\`\`\`diff
-${codeBlock}
-\`\`\`
+  // Nivel de acceso del autor de un comentario al repositorio
+  async hasPermission(username, required) {
+    try {
+      const { data } =
+        await this.octokit.rest.repos.getCollaboratorPermissionLevel({
+          ...this.context.repo,
+          username,
+        });
+      return hasPermission(data.permission, required);
+    } catch (error) {
+      if (error.status !== 404) {
+        console.warn(
+          `Could not check the permissions of ${username}:`,
+          error.message
+        );
+      }
+      return false;
+    }
+  }
 
----
-${
-  issue.canAutoFix
-    ? "💡 **Quick Fix:** Reply with `/apply-fix` to automatically apply this change.\n\n"
-    : ""
-}
-📚 **References:**
-${
-  (issue.refs || []).map((ref) => `- ${ref}`).join("\n") ||
-  "- Best development practices\n- Clean code principles"
-}
+  async react(comment, content) {
+    const params = { ...this.context.repo, comment_id: comment.id, content };
+    try {
+      if (this.context.eventName === "pull_request_review_comment") {
+        await this.octokit.rest.reactions.createForPullRequestReviewComment(
+          params
+        );
+      } else {
+        await this.octokit.rest.reactions.createForIssueComment(params);
+      }
+    } catch (error) {
+      console.warn(`Could not react to comment ${comment.id}:`, error.message);
+    }
+  }
 
-_This review was generated by AI Code Review Assistant_
-    `;
+  // Responde en el hilo si el comentario es de revisión, o en la
+  // conversación del PR en otro caso
+  replyTo(comment) {
+    if (this.context.eventName === "pull_request_review_comment") {
+      return (body) =>
+        this.octokit.rest.pulls.createReplyForReviewComment({
+          ...this.context.repo,
+          pull_number: this.getPullRequestNumber(),
+          comment_id: comment.in_reply_to_id || comment.id,
+          body: markAsReply(body),
+        });
+    }
+    return (body) =>
+      this.octokit.rest.issues.createComment({
+        ...this.context.repo,
+        issue_number: this.getPullRequestNumber(),
+        body: markAsReply(body),
+      });
   }
 
-  async getFileContent(path) {
-    const { data } = await this.octokit.rest.repos.getContent({
+  // `/review` revisa de nuevo todo el PR; `/review <globs>` solo esos archivos
+  async handleReviewCommand(comment, args) {
+    const paths = args ? args.split(/\s+/) : null;
+    if (paths) {
+      const files = await this.getPRFiles();
+      if (!files.some((file) => matchesAny(file.filename, paths))) {
+        await this.replyTo(comment)(
+          getLocale(this.config.commentLanguage).replies.noMatchingFiles(
+            paths.map((path) => `\`${path}\``).join(", ")
+          )
+        );
+        return false;
+      }
+    }
+    return this.handlePullRequest({ paths });
+  }
+
+  // `/summary` escribe en la descripción del PR un resumen de sus cambios
+  async handleSummaryCommand(comment) {
+    const locale = getLocale(this.config.commentLanguage);
+    const pullRequest = await this.loadPullRequest();
+    const description = await this.provider.complete({
+      ...buildDescriptionPrompt({
+        language: locale.language,
+        pullRequest,
+        files: await this.getSendableFiles(),
+      }),
+      maxTokens: this.engine.getMaxTokens(),
+    });
+    if (!description.trim()) {
+      await this.replyTo(comment)(locale.replies.emptyDescription);
+      return false;
+    }
+
+    await this.octokit.rest.pulls.update({
       ...this.context.repo,
-      path,
-      ref: this.context.payload.pull_request.head.sha,
+      pull_number: pullRequest.number,
+      body: applyGeneratedDescription(pullRequest.body, description),
     });
-    return Buffer.from(data.content, "base64").toString("utf-8");
+    console.log("Pull request description updated");
+    return true;
   }
 
-  parseAnalysis(response) {
+  // `/explain [ruta:]<línea>[-<línea>]`. En un comentario de revisión la ruta
+  // y, sin argumentos, las líneas son las del propio comentario
+  async handleExplainCommand(comment, args) {
+    const locale = getLocale(this.config.commentLanguage);
+    const text = locale.replies;
+    const reply = this.replyTo(comment);
+    const range = args
+      ? parseLineRange(args)
+      : comment.path && {
+          startLine: comment.start_line || comment.original_start_line,
+          line: comment.line || comment.original_line,
+        };
+    const path = (range && range.path) || comment.path;
+
+    if (!range || !range.line || !path) {
+      await reply(text.usage.explain);
+      return false;
+    }
+    if (isNeverSend(path, this.config)) {
+      await reply(text.neverSend(path));
+      return false;
+    }
+
+    const pullRequest = await this.loadPullRequest();
+    let content;
     try {
-      // Extraer el contenido de la respuesta según el formato del modelo
-      let content = "";
-      if (response.content && Array.isArray(response.content)) {
-        content = response.content[0].text;
-      } else if (response.messages && Array.isArray(response.messages)) {
-        content = response.messages[0].content[0].text;
-      } else if (typeof response === "string") {
-        content = response;
-      }
+      ({ content } = await this.getFile(path, pullRequest.head.sha));
+    } catch (error) {
+      await reply(text.fileNotLoaded(path, pullRequest.head.sha.slice(0, 7)));
+      return false;
+    }
+    if (range.line > content.split("\n").length) {
+      await reply(text.fileTooShort(path, content.split("\n").length));
+      return false;
+    }
 
-      if (!content) {
-        console.warn("No content found in response");
-        return [];
-      }
+    const explanation = await this.provider.complete({
+      ...buildExplainPrompt({
+        language: locale.language,
+        path,
+        startLine: range.startLine,
+        line: range.line,
+        code: codeAround(content, range),
+      }),
+      maxTokens: this.engine.getMaxTokens(),
+    });
+    await reply(explanation.trim() || text.noExplanation);
+    return true;
+  }
 
-      // Intentar extraer array JSON de la respuesta
-      const jsonMatch = content.match(/\[[\s\S]*\]/);
-      if (jsonMatch) {
-        try {
-          const issues = JSON.parse(jsonMatch[0]);
-          // Validar que cada issue tenga los campos requeridos
-          return issues.filter(
-            (issue) =>
-              issue.severity &&
-              issue.line &&
-              (issue.description || issue.issue) &&
-              (issue.solution || issue.code)
-          );
-        } catch (e) {
-          console.warn(
-            "Failed to parse JSON array, falling back to regex parsing"
-          );
-        }
+  // Responde a `/ai <pregunta>` o a una respuesta en un hilo. En un hilo de
+  // revisión contesta en el mismo hilo con el hallazgo, el código y la
+  // conversación; en la conversación del PR, con el contexto del PR.
+  // Con `findingsOnly` solo se contestan los hilos abiertos por el bot
+  async handleQuestion(comment, question, { findingsOnly = false } = {}) {
+    const inThread = this.context.eventName === "pull_request_review_comment";
+    const text = getLocale(this.config.commentLanguage).replies;
+    const reply = this.replyTo(comment);
+
+    try {
+      const root = !inThread
+        ? null
+        : comment.in_reply_to_id
+        ? (
+            await this.octokit.rest.pulls.getReviewComment({
+              ...this.context.repo,
+              comment_id: comment.in_reply_to_id,
+            })
+          ).data
+        : comment;
+
+      if (findingsOnly && !(root && extractFingerprint(root.body))) {
+        return false;
       }
 
-      // Si no se pudo extraer JSON válido, usar el método de respaldo con regex
-      return this.fallbackParseWithRegex(content);
+      const prompt = root
+        ? await this.buildThreadContext(root, comment, question)
+        : await this.buildPullRequestContext(question);
+      const answer = await this.provider.complete({
+        ...prompt,
+        maxTokens: this.engine.getMaxTokens(),
+      });
+      await reply(answer.trim() || text.noAnswer);
+      console.log(`Answered comment ${comment.id}`);
+      return true;
     } catch (error) {
-      console.error("Error in parseAnalysis:", error);
-      return [];
+      console.error("Error answering comment:", error);
+      await reply(text.answerFailed(error.message));
+      return false;
     }
   }
 
-  fallbackParseWithRegex(content) {
-    // Método de respaldo usando regex
-    const issues = [];
-    const regex = {
-      line: /\"line\":\s*(\d+)/g,
-      severity: /\"severity\":\s*\"(CRÍTICA|ALTA|MEDIA|BAJA)\"/g,
-      description: /\"description\":\s*\"([^\"]+)\"/g,
-      solution: /\"solution\":\s*\"([^\"]+)\"/g,
-      explanation: /\"explanation\":\s*\"([^\"]+)\"/g,
-    };
-
-    // Encontrar todos los bloques que parecen JSON
-    const jsonBlocks = content.match(/\{[^}]+\}/g) || [];
+  // Contexto de un hilo de revisión: el hallazgo que lo abrió, el código
+  // actual alrededor y los comentarios anteriores a la pregunta
+  async buildThreadContext(root, comment, question) {
+    const pullRequest = await this.loadPullRequest();
+    const line = root.line || root.original_line;
 
-    for (const block of jsonBlocks) {
+    // El código de los archivos de `never-send-patterns` no se envía
+    let code = null;
+    if (line && !isNeverSend(root.path, this.config)) {
       try {
-        const issue = {
-          line: null,
-          severity: "BAJA",
-          description: "",
-          solution: "",
-          explanation: "",
-        };
-
-        // Extraer cada campo usando regex
-        for (const [field, pattern] of Object.entries(regex)) {
-          pattern.lastIndex = 0; // Resetear el índice
-          const match = pattern.exec(block);
-          if (match) {
-            if (field === "line") {
-              issue.line = parseInt(match[1]);
-            } else {
-              issue[field] = match[1]
-                .replace(/\\n/g, "\n")
-                .replace(/\\"/g, '"');
-            }
-          }
-        }
-
-        // Solo agregar el issue si tiene los campos mínimos necesarios
-        if (issue.line && (issue.description || issue.solution)) {
-          issues.push(issue);
-        }
-      } catch (e) {
-        console.warn("Error processing JSON block:", e);
-        continue;
+        const { content } = await this.getFile(root.path, pullRequest.head.sha);
+        code = codeAround(content, {
+          startLine: root.start_line || root.original_start_line,
+          line,
+        });
+      } catch (error) {
+        console.warn(`Could not load ${root.path}:`, error.message);
       }
     }
 
-    return issues;
+    const comments = await this.octokit.paginate(
+      this.octokit.rest.pulls.listReviewComments,
+      {
+        ...this.context.repo,
+        pull_number: pullRequest.number,
+        per_page: 100,
+      }
+    );
+    const finding = extractFingerprint(root.body) ? root.body : null;
+    const thread = comments
+      .filter(
+        (entry) =>
+          entry.in_reply_to_id === root.id || (entry.id === root.id && !finding)
+      )
+      .filter((entry) => entry.id !== comment.id)
+      .map((entry) => ({ author: entry.user.login, body: entry.body }));
+
+    return buildThreadPrompt({
+      language: getLocale(this.config.commentLanguage).language,
+      path: root.path,
+      line,
+      finding,
+      code,
+      thread,
+      message: question,
+    });
   }
 
-  async createComment(path, body, line) {
-    try {
-      console.log("Creating comment for:", { path, line });
+  // Contexto del PR para `/ai` en la conversación general
+  async buildPullRequestContext(question) {
+    const pullRequest = await this.loadPullRequest();
+    const summaryComment = await this.findSummaryComment();
+    const state = summaryComment
+      ? parseSummaryState(summaryComment.body)
+      : null;
+
+    return buildPullRequestPrompt({
+      language: getLocale(this.config.commentLanguage).language,
+      pullRequest,
+      files: await this.getSendableFiles(),
+      openFindings: state ? state.files : {},
+      question,
+    });
+  }
 
-      // Obtener información del PR
-      const { data: pullRequest } = await this.octokit.rest.pulls.get({
+  // `/dismiss <motivo>` y `/false-positive [motivo]` en el hilo de un
+  // hallazgo: lo guarda como descartado en el estado del resumen para que
+  // las siguientes revisiones no lo vuelvan a reportar, y resuelve el hilo
+  async handleDismiss(comment, type, reason) {
+    const pullRequestNumber = this.getPullRequestNumber();
+    const text = getLocale(this.config.commentLanguage).replies.dismiss;
+
+    if (!comment.in_reply_to_id) {
+      await this.octokit.rest.issues.createComment({
         ...this.context.repo,
-        pull_number: this.context.payload.pull_request.number,
+        issue_number: pullRequestNumber,
+        body: markAsReply(text.replyOnly(type)),
       });
+      return false;
+    }
 
-      const commitId = pullRequest.head.sha;
-      const prNumber = this.context.payload.pull_request.number;
-
-      // Obtener los archivos modificados con sus diff completos
-      const { data: files } = await this.octokit.rest.pulls.listFiles({
+    const reply = (body) =>
+      this.octokit.rest.pulls.createReplyForReviewComment({
         ...this.context.repo,
-        pull_number: prNumber,
+        pull_number: pullRequestNumber,
+        comment_id: comment.in_reply_to_id,
+        body: markAsReply(body),
       });
 
-      const fileInfo = files.find((f) => f.filename === path);
+    try {
+      const { data: root } = await this.octokit.rest.pulls.getReviewComment({
+        ...this.context.repo,
+        comment_id: comment.in_reply_to_id,
+      });
+      const fingerprint = extractFingerprint(root.body);
+      if (!fingerprint) {
+        await reply(text.notFinding(type));
+        return false;
+      }
+      if (type === "dismiss" && !reason) {
+        await reply(text.reasonRequired);
+        return false;
+      }
 
-      if (!fileInfo || !fileInfo.patch) {
-        console.log(
-          `File ${path} not found in PR or has no patch. Creating issue comment instead.`
-        );
-        await this.createIssueComment(path, body, line);
-        return;
+      const summaryComment = await this.findSummaryComment();
+      const state = summaryComment
+        ? parseSummaryState(summaryComment.body)
+        : null;
+      if (!state) {
+        await reply(text.noSummary);
+        return false;
       }
 
-      // Calcular la posición en el diff basada en el número de línea
-      // Este es el paso clave: necesitamos mapear la línea del archivo a la posición en el diff
-      const position = this.findPositionInDiff(fileInfo.patch, line);
+      const finding =
+        (state.files[root.path] || []).find(
+          (entry) => entry.fingerprint === fingerprint
+        ) || {};
+      const updated = dismissFinding(state, fingerprint, {
+        path: root.path,
+        line: finding.line || root.line || root.original_line,
+        startLine: finding.startLine,
+        description: finding.description || "",
+        url: root.html_url,
+        kind: type,
+        reason,
+        by: comment.user.login,
+        date: new Date().toISOString(),
+      });
 
-      if (position === null) {
-        console.log(
-          `Line ${line} not found in diff. Creating issue comment instead.`
-        );
-        await this.createIssueComment(path, body, line);
-        return;
-      }
+      await this.publishState(summaryComment, updated);
+
+      await reply(text.done(type));
+      await new FindingTracker(
+        this.octokit,
+        this.context,
+        pullRequestNumber,
+        this.config.commentLanguage,
+        await this.getBotLogin()
+      ).resolveThread(root.id);
+      console.log(`Dismissed finding ${fingerprint} in ${root.path}`);
+      return true;
+    } catch (error) {
+      console.error("Error dismissing finding:", error);
+      await reply(text.failed(error.message));
+      return false;
+    }
+  }
 
-      console.log(`Found position ${position} for line ${line} in diff`);
+  // `/ai-review baseline` acepta los hallazgos abiertos del PR: los añade a
+  // la línea base en la rama del PR y los quita del resumen
+  async handleBaselineCommand(comment) {
+    const text = getLocale(this.config.commentLanguage).replies.baseline;
+    const reply = this.replyTo(comment);
+    const pullRequest = await this.loadPullRequest();
+
+    const { owner, repo } = this.context.repo;
+    if (pullRequest.head.repo.full_name !== `${owner}/${repo}`) {
+      await reply(text.fork);
+      return false;
+    }
 
-      // Crear una revisión y añadir un comentario
-      const { data: review } = await this.octokit.rest.pulls.createReview({
-        ...this.context.repo,
-        pull_number: prNumber,
-        commit_id: commitId,
-        body: "Code review comments",
-        event: "COMMENT",
-        comments: [
-          {
-            path: path,
-            position: position,
-            body: body,
-          },
-        ],
-      });
+    const summaryComment = await this.findSummaryComment();
+    const state = summaryComment
+      ? parseSummaryState(summaryComment.body)
+      : null;
+    // Los secretos no se aceptan en la línea base
+    const findings = Object.entries(state ? state.files : {})
+      .flatMap(([path, fileFindings]) =>
+        fileFindings.map((finding) => ({ path, ...finding }))
+      )
+      .filter((finding) => !isSecretFinding(finding));
+    if (findings.length === 0) {
+      await reply(text.empty);
+      return false;
+    }
 
-      console.log("Review comment created successfully");
+    const { baselinePath } = this.config;
+    let previous = [];
+    let sha;
+    try {
+      const file = await this.getFile(baselinePath, pullRequest.head.ref);
+      previous = parseBaseline(file.content, baselinePath);
+      sha = file.sha;
     } catch (error) {
-      console.error("Error creating review comment:", error);
-      // Fallar de manera segura a un comentario general
-      try {
-        await this.createIssueComment(path, body, line);
-      } catch (fallbackError) {
-        console.error("Error creating fallback comment:", fallbackError);
+      if (error.status !== 404) {
+        throw error;
       }
     }
+
+    const { data } = await this.octokit.rest.repos.createOrUpdateFileContents({
+      ...this.context.repo,
+      path: baselinePath,
+      message: `Add ${findings.length} AI review findings to ${baselinePath}`,
+      content: Buffer.from(buildBaseline(previous, findings)).toString(
+        "base64"
+      ),
+      sha,
+      branch: pullRequest.head.ref,
+    });
+
+    await this.publishState(
+      summaryComment,
+      removeFindings(
+        state,
+        new Set(findings.map((finding) => finding.fingerprint))
+      )
+    );
+    await reply(text.added(findings.length, baselinePath, data.commit.sha));
+    return true;
   }
 
-  // Nuevo método para encontrar la posición en el diff
-  findPositionInDiff(patch, targetLine) {
-    if (!patch) return null;
+  // Publica un estado modificado fuera de una revisión: el resumen y el check
+  async publishState(summaryComment, state) {
+    const summaryBody = await this.publishSummary(summaryComment, state);
+    const pullRequest = await this.loadPullRequest();
+    await publishCheckRun(this.octokit, this.context.repo, {
+      headSha: pullRequest.head.sha,
+      files: state.files,
+      counts: getOverallCounts(state),
+      failOn: this.config.failOn,
+      summary: summaryBody,
+    });
+  }
 
-    const lines = patch.split("\n");
-    let position = 0;
-    let currentLine = 0;
+  // Extracto del diff a revisar; null si se revisa el archivo completo
+  getReviewDiff(file, content) {
+    // En una revisión incremental el alcance son los cambios desde la última
+    // revisión, también en modo "full" para no repetir hallazgos antiguos
+    if (this.incremental) {
+      return this.getIncrementalDiff(file, content);
+    }
+    return this.engine.buildDiff(file, content);
+  }
 
-    // Buscar la posición del diff que corresponde al número de línea
-    for (let i = 0; i < lines.length; i++) {
-      position++;
-      const line = lines[i];
+  getIncrementalDiff(file, content) {
+    const { patch } = this.incremental.files.get(file.filename);
+    if (!patch || !file.patch) {
+      return null;
+    }
 
-      // Saltar las líneas de cabecera del diff (las que empiezan con @@ ... @@)
-      if (line.startsWith("@@")) {
-        // Extraer el número de línea inicial del nuevo archivo
-        const match = line.match(/\+(\d+)/);
-        if (match) {
-          currentLine = parseInt(match[1], 10) - 1; // -1 porque vamos a incrementar antes de usar
-        }
-        continue;
-      }
+    const diff = this.diffParser.buildExcerpt(
+      patch,
+      content,
+      this.config.contextLines
+    );
+    // Solo las líneas que además forman parte del diff del PR (descarta lo que
+    // llegó al mezclar la rama base). Las eliminaciones se numeran respecto a
+    // la última revisión y no al diff del PR, así que no se comentan
+    const prChangedLines = this.diffParser.getChangedLines(
+      this.diffParser.parseHunks(file.patch)
+    );
+    return {
+      ...diff,
+      changedLines: new Set(
+        [...diff.changedLines].filter((line) => prChangedLines.has(line))
+      ),
+      deletedLines: new Set(),
+    };
+  }
 
-      // Las líneas que empiezan con - son eliminaciones y no afectan la numeración de línea del nuevo archivo
-      if (line.startsWith("-")) {
-        continue;
+  // En un push a un PR ya revisado, obtiene los archivos cambiados desde el
+  // último commit revisado. Devuelve null si hay que revisar el PR completo
+  async loadIncrementalChanges(previousState) {
+    if (
+      !this.config.incremental ||
+      this.context.payload.action !== "synchronize"
+    ) {
+      return null;
+    }
+
+    const baseSha = previousState && previousState.lastReviewedSha;
+    const headSha = this.pullRequest.head.sha;
+    if (!baseSha || baseSha === headSha) {
+      return null;
+    }
+
+    try {
+      const { data: comparison } =
+        await this.octokit.rest.repos.compareCommitsWithBasehead({
+          ...this.context.repo,
+          basehead: `${baseSha}...${headSha}`,
+        });
+
+      // Tras un force-push el commit revisado ya no es ancestro del head
+      if (comparison.status !== "ahead") {
+        console.log(
+          `Last reviewed commit ${baseSha} is ${comparison.status} of ${headSha}, running a full review`
+        );
+        return null;
       }
 
-      // Las líneas de contexto y adiciones incrementan el contador de línea
-      if (line.startsWith("+") || line.startsWith(" ")) {
-        currentLine++;
+      console.log(`Incremental review of changes since ${baseSha}`);
+      return {
+        baseSha,
+        files: new Map(comparison.files.map((file) => [file.filename, file])),
+      };
+    } catch (error) {
+      console.warn(
+        `Could not compare ${baseSha}...${headSha}, running a full review:`,
+        error.message
+      );
+      return null;
+    }
+  }
+
+  // Convierte los hallazgos de un archivo en comentarios de revisión en línea.
+  // Los que no se pueden ubicar en el diff se devuelven aparte para el resumen
+  buildReviewComments(file, analysis, content) {
+    const comments = [];
+    const unplaced = [];
 
-        // Si encontramos la línea objetivo, devolver la posición actual en el diff
-        if (currentLine === targetLine) {
-          return position;
-        }
+    const { commentThreshold } = resolvePathConfig(this.config, file.filename);
+    const filteredIssues = analysis.filter(
+      (issue) =>
+        severityLevel(issue.severity) >= severityLevel(commentThreshold)
+    );
+
+    const hunks = this.diffParser.parseHunks(file.patch);
+    const fileLines = content.split("\n");
+
+    for (const issue of filteredIssues) {
+      const location = this.diffParser.locateRange(
+        hunks,
+        issue.startLine,
+        issue.line,
+        issue.side
+      );
+
+      if (!location) {
+        console.log(
+          `Line ${issue.line} of ${file.filename} not found in diff, it will only appear in the summary`
+        );
+        unplaced.push({ path: file.filename, issue });
+        continue;
       }
+
+      comments.push({
+        fingerprint: issue.fingerprint,
+        path: file.filename,
+        ...location,
+        body: this.formatComment(
+          issue,
+          this.buildFix(file.filename, issue, location, fileLines)
+        ),
+      });
     }
 
-    // No se encontró la línea en el diff
-    return null;
+    return { comments, unplaced };
   }
 
-  // Método auxiliar para crear un comentario general en el PR
-  async createIssueComment(path, body, line) {
-    try {
-      await this.octokit.rest.issues.createComment({
-        ...this.context.repo,
-        issue_number: this.context.payload.pull_request.number,
-        body: `**Code review for \`${path}\` line ${line}:**\n\n${body}`,
-      });
-      console.log("Created issue comment as fallback");
-    } catch (fallbackError) {
-      console.error("Error creating fallback comment:", fallbackError);
+  // Prepara el fix aplicable de un hallazgo: el código de reemplazo y las
+  // líneas originales que sustituye. Solo es posible en el lado RIGHT y
+  // cuando el comentario cubre el rango completo del hallazgo
+  buildFix(path, issue, location, fileLines) {
+    const replacement = toReplacementCode(issue.solution || issue.code);
+    const coversRange = !issue.startLine || location.start_line;
+    if (location.side === "LEFT" || !coversRange || replacement === null) {
+      return null;
     }
+
+    const startLine = issue.startLine || issue.line;
+    return {
+      path,
+      startLine: issue.startLine,
+      line: issue.line,
+      original: fileLines.slice(startLine - 1, issue.line),
+      replacement,
+    };
   }
 
-  async createSummaryComment(results) {
-    try {
-      // Contar problemas por severidad
-      const issueCounts = {
-        CRÍTICA: 0,
-        ALTA: 0,
-        MEDIA: 0,
-        BAJA: 0,
-      };
+  formatComment(issue, fix = null) {
+    const locale = getLocale(this.config.commentLanguage);
+    const text = locale.comment;
+    const severity = `${SEVERITY_ICONS[issue.severity] || ""} ${text.detected(
+      locale.severities[issue.severity] || issue.severity
+    )}`.trim();
+    const recommendation = issue.explanation || issue.suggestion;
+    const reportedBy = formatPasses(issue.passes, locale);
 
-      // Inicializar contadores
-      let totalIssues = 0;
-      let filesWithIssues = 0;
-      const filesAnalyzed = results.length;
-
-      // Calcular estadísticas
-      results.forEach((result) => {
-        if (result.analysis && result.analysis.length > 0) {
-          filesWithIssues++;
-          result.analysis.forEach((issue) => {
-            const severity = issue.severity || "BAJA";
-            issueCounts[severity] = (issueCounts[severity] || 0) + 1;
-            totalIssues++;
-          });
-        }
-      });
+    // Formato mejorado para el código
+    const codeBlock = issue.solution || issue.code || "";
 
-      // Generar tabla Markdown de resumen
-      const summaryMd = `## AI Code Review Summary
-${
-  totalIssues
-    ? `🔍 Found **${totalIssues} issues** in ${filesWithIssues} files (analyzed ${filesAnalyzed} files total).`
-    : `✅ No issues found in ${filesAnalyzed} analyzed files.`
-}
-${
-  totalIssues
-    ? `
-| Severity | Count |
-|----------|-------|
-| 🔴 Critical | ${issueCounts.CRÍTICA} |
-| 🟠 High | ${issueCounts.ALTA} |
-| 🟡 Medium | ${issueCounts.MEDIA} |
-| 🔵 Low | ${issueCounts.BAJA} |`
-    : ""
-}
-${
-  totalIssues
-    ? "### Files with issues:\n" +
-      results
-        .filter((r) => r.analysis && r.analysis.length)
-        .map(
-          (r) =>
-            `- \`${r.path}\`: ${r.analysis.length} ${
-              r.analysis.length === 1 ? "issue" : "issues"
-            }`
-        )
-        .join("\n")
-    : ""
-}
+    return `
+## ${text.title}
 
-*This analysis was performed using AWS Bedrock and the ${
-        this.config.bedrockModelId
-      } model.*`;
+### ${severity}
 
-      // Publicar el comentario de resumen
-      await this.octokit.rest.issues.createComment({
-        ...this.context.repo,
-        issue_number: this.context.payload.pull_request.number,
-        body: summaryMd,
+**${text.issue}:** ${issue.description || issue.issue}
+${recommendation ? `\n**${text.recommendation}:** ${recommendation}\n` : ""}${
+      fix || codeBlock
+        ? `
+### ${text.solution}
+
+${fix ? fenceCode("suggestion", fix.replacement) : fenceCode("diff", codeBlock)}
+`
+        : ""
+    }
+---
+${fix ? `${text.quickFix}\n\n` : ""}
+${text.references}
+${(issue.refs && issue.refs.length ? issue.refs : text.defaultReferences)
+  .map((ref) => `- ${ref}`)
+  .join("\n")}
+
+${reportedBy ? `${text.reportedBy(reportedBy)}\n\n` : ""}${text.footer}
+${fix ? buildFixMetadata(fix) : ""}
+${issue.fingerprint ? buildFingerprintMarker(issue.fingerprint) : ""}
+    `;
+  }
+
+  async getFileContent(path) {
+    const { content } = await this.getFile(path, this.pullRequest.head.sha);
+    return content;
+  }
+
+  // Devuelve el contenido y el SHA del blob de un archivo en una referencia
+  async getFile(path, ref) {
+    const { data } = await this.octokit.rest.repos.getContent({
+      ...this.context.repo,
+      path,
+      ref,
+    });
+    return {
+      content: Buffer.from(data.content, "base64").toString("utf-8"),
+      sha: data.sha,
+    };
+  }
+
+  // Evento de la revisión según la severidad más alta encontrada
+  getReviewEvent(issueCounts) {
+    if (issueCounts.critical + issueCounts.high > 0) {
+      return "REQUEST_CHANGES";
+    }
+    if (issueCounts.medium + issueCounts.low + issueCounts.info > 0) {
+      return "COMMENT";
+    }
+    return "APPROVE";
+  }
+
+  // Publica la revisión y devuelve el evento usado y los enlaces de los
+  // comentarios en línea por huella, o null si no se pudo publicar
+  async submitReview(reviewComments, event) {
+    // La huella solo se usa internamente, no forma parte de la API
+    const comments = reviewComments.map(
+      ({ fingerprint, ...comment }) => comment
+    );
+    const { review } = getLocale(this.config.commentLanguage);
+    const body = comments.length
+      ? review.newFindings(comments.length)
+      : review.seeSummary;
+
+    // Intentos en orden: el evento calculado, luego COMMENT (GitHub no permite
+    // aprobar o pedir cambios en algunos casos) y por último sin comentarios
+    // en línea, moviéndolos al cuerpo de la revisión
+    const attempts = [{ event, comments, body }];
+    if (event !== "COMMENT") {
+      attempts.push({ event: "COMMENT", comments, body });
+    }
+    if (comments.length > 0) {
+      attempts.push({
+        event: "COMMENT",
+        comments: [],
+        body: `${body}\n\n${comments
+          .map((comment) => `**\`${comment.path}\`**\n${comment.body}`)
+          .join("\n\n")}`,
       });
+    }
 
-      console.log("Summary comment posted successfully");
+    for (const attempt of attempts) {
+      try {
+        const { data: review } = await this.octokit.rest.pulls.createReview({
+          ...this.context.repo,
+          pull_number: this.getPullRequestNumber(),
+          commit_id: this.pullRequest.head.sha,
+          event: attempt.event,
+          body: markAsReview(attempt.body),
+          comments: attempt.comments,
+        });
+        console.log(
+          `Review submitted with ${attempt.comments.length} inline comments (${attempt.event})`
+        );
+        return {
+          event: attempt.event,
+          links: await this.getReviewCommentLinks(review.id),
+        };
+      } catch (error) {
+        console.error(`Error submitting ${attempt.event} review:`, error);
+      }
+    }
 
-      // Si hay problemas críticos o de alta severidad, añadimos un comentario adicional para destacarlos
-      const criticalOrHighIssues = issueCounts.CRÍTICA + issueCounts.ALTA;
-      if (criticalOrHighIssues > 0) {
-        const priorityMessage = `⚠️ **Attention Required**: This PR contains ${criticalOrHighIssues} critical or high severity ${
-          criticalOrHighIssues === 1 ? "issue" : "issues"
-        } that should be addressed before merging.`;
+    return null;
+  }
 
-        // Añadir este mensaje como una revisión para mayor visibilidad
-        await this.octokit.rest.pulls.createReview({
+  // Descarta las revisiones REQUEST_CHANGES anteriores del bot cuando ya no
+  // quedan hallazgos bloqueantes abiertos
+  async dismissBlockingReviews() {
+    const { review: text } = getLocale(this.config.commentLanguage);
+    try {
+      const reviews = await this.octokit.paginate(
+        this.octokit.rest.pulls.listReviews,
+        {
+          ...this.context.repo,
+          pull_number: this.getPullRequestNumber(),
+          per_page: 100,
+        }
+      );
+      const botLogin = await this.getBotLogin();
+      for (const review of reviews) {
+        if (
+          review.state !== "CHANGES_REQUESTED" ||
+          !isBotReview(review, botLogin)
+        ) {
+          continue;
+        }
+        await this.octokit.rest.pulls.dismissReview({
           ...this.context.repo,
-          pull_number: this.context.payload.pull_request.number,
-          event: criticalOrHighIssues > 0 ? "REQUEST_CHANGES" : "COMMENT", // Solicitar cambios si hay problemas críticos
-          body: priorityMessage,
+          pull_number: this.getPullRequestNumber(),
+          review_id: review.id,
+          message: text.dismissed,
         });
+        console.log(`Dismissed previous REQUEST_CHANGES review ${review.id}`);
       }
+    } catch (error) {
+      console.warn(
+        "Could not dismiss the previous REQUEST_CHANGES review:",
+        error.message
+      );
+    }
+  }
 
-      return { totalIssues, filesWithIssues, filesAnalyzed, issueCounts };
+  async getReviewCommentLinks(reviewId) {
+    const links = new Map();
+    try {
+      const comments = await this.octokit.paginate(
+        this.octokit.rest.pulls.listCommentsForReview,
+        {
+          ...this.context.repo,
+          pull_number: this.getPullRequestNumber(),
+          review_id: reviewId,
+          per_page: 100,
+        }
+      );
+      for (const comment of comments) {
+        const fingerprint = extractFingerprint(comment.body);
+        if (fingerprint) {
+          links.set(fingerprint, comment.html_url);
+        }
+      }
     } catch (error) {
-      console.error("Error creating summary comment:", error);
+      console.warn("Could not load review comment links:", error.message);
     }
+    return links;
   }
 
   async handleApplyFix(comment) {
-    const pullRequestNumber = this.context.payload.issue.number;
-    const reviewComments = await this.getReviewComments(pullRequestNumber);
-    const fixComment = reviewComments.find(
-      (rc) => rc.id === comment.in_reply_to_id
-    );
+    const pullRequestNumber = this.getPullRequestNumber();
+    const text = getLocale(this.config.commentLanguage).replies.fix;
 
-    if (fixComment) {
-      const { path, line, body } = fixComment;
-      const fixCode = this.extractFixCode(body);
-      if (fixCode) {
-        await this.applyChanges(path, line, fixCode);
-      }
+    // /apply-fix solo tiene sentido como respuesta a un comentario de revisión
+    if (!comment.in_reply_to_id) {
+      await this.octokit.rest.issues.createComment({
+        ...this.context.repo,
+        issue_number: pullRequestNumber,
+        body: markAsReply(text.replyOnly),
+      });
+      return false;
     }
-  }
 
-  async getReviewComments(pullRequestNumber) {
-    const { data: comments } = await this.octokit.rest.pulls.listReviewComments(
-      {
+    const reply = (body) =>
+      this.octokit.rest.pulls.createReplyForReviewComment({
         ...this.context.repo,
         pull_number: pullRequestNumber,
+        comment_id: comment.in_reply_to_id,
+        body: markAsReply(body),
+      });
+
+    try {
+      const { data: fixComment } =
+        await this.octokit.rest.pulls.getReviewComment({
+          ...this.context.repo,
+          comment_id: comment.in_reply_to_id,
+        });
+
+      const fix = extractFixMetadata(fixComment.body);
+      if (!fix) {
+        await reply(text.noFix);
+        return false;
+      }
+      // Cualquiera que comente en el PR puede copiar el marcador del fix:
+      // solo se aplican los del bot y sobre el archivo de su comentario
+      if (
+        !isWrittenByBot(fixComment, await this.getBotLogin()) ||
+        fix.path !== fixComment.path
+      ) {
+        console.warn(
+          `Refusing to apply the fix of comment ${fixComment.id}: it was not suggested by the bot for ${fix.path}`
+        );
+        await reply(text.untrusted);
+        return false;
       }
-    );
-    return comments;
-  }
 
-  extractFixCode(commentBody) {
-    const codeBlockRegex = /```diff\n([\s\S]*?)\n```/;
-    const match = commentBody.match(codeBlockRegex);
-    return match ? match[1] : null;
+      const result = await this.applyChanges(pullRequestNumber, fix);
+      await reply(result.message);
+      return result.applied;
+    } catch (error) {
+      console.error("Error applying fix:", error);
+      await reply(text.failed(error.message));
+      return false;
+    }
   }
 
-  async applyChanges(path, line, fixCode) {
-    const content = await this.getFileContent(path);
+  // Aplica el rango completo del fix sobre la rama del PR, comprobando antes
+  // que las líneas originales no hayan cambiado desde que se sugirió
+  async applyChanges(pullRequestNumber, fix) {
+    const locale = getLocale(this.config.commentLanguage);
+    const { data: pullRequest } = await this.octokit.rest.pulls.get({
+      ...this.context.repo,
+      pull_number: pullRequestNumber,
+    });
+
+    const { owner, repo } = this.context.repo;
+    if (pullRequest.head.repo.full_name !== `${owner}/${repo}`) {
+      return {
+        applied: false,
+        message: locale.replies.fix.fork,
+      };
+    }
+
+    const { content, sha } = await this.getFile(fix.path, pullRequest.head.ref);
     const lines = content.split("\n");
-    lines[line - 1] = fixCode.replace(/^[+-]\s/, "");
-    const updatedContent = lines.join("\n");
+    const startLine = fix.startLine || fix.line;
+    const currentLines = lines.slice(startLine - 1, fix.line);
+
+    if (currentLines.join("\n") !== fix.original.join("\n")) {
+      return {
+        applied: false,
+        message: locale.replies.fix.changed(
+          fix.path,
+          formatLineRange(fix, locale)
+        ),
+      };
+    }
 
-    await this.octokit.rest.repos.createOrUpdateFileContents({
+    lines.splice(
+      startLine - 1,
+      fix.line - startLine + 1,
+      ...fix.replacement.split("\n")
+    );
+
+    const { data } = await this.octokit.rest.repos.createOrUpdateFileContents({
       ...this.context.repo,
-      path,
-      message: `Apply fix suggested by CodeReviewBot`,
-      content: Buffer.from(updatedContent).toString("base64"),
-      sha: this.context.payload.pull_request.head.sha,
-      branch: this.context.payload.pull_request.head.ref,
+      path: fix.path,
+      message: `Apply AI review fix to ${fix.path} (${formatLineRange(fix)})`,
+      content: Buffer.from(lines.join("\n")).toString("base64"),
+      sha,
+      branch: pullRequest.head.ref,
     });
+
+    return {
+      applied: true,
+      message: locale.replies.fix.applied(data.commit.sha),
+    };
   }
 }
 module.exports = { CodeReviewBot };
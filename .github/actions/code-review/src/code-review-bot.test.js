@@ -0,0 +1,243 @@
+jest.mock("@actions/github", () => ({ getOctokit: jest.fn(), context: {} }));
+
+const github = require("@actions/github");
+const { CodeReviewBot } = require("./code-review-bot");
+const { buildFixMetadata } = require("./utils");
+const { renderSummary, updateSummaryState } = require("./summary");
+
+const BOT = { login: "github-actions[bot]", type: "Bot" };
+const DEVELOPER = { login: "dev", type: "User" };
+
+// Octokit con las llamadas que usa el bot; cada prueba cambia las respuestas
+// que necesita
+function createOctokit() {
+  const octokit = {
+    rest: {
+      users: {
+        getAuthenticated: jest.fn().mockRejectedValue(new Error("forbidden")),
+      },
+      pulls: {
+        get: jest.fn().mockResolvedValue({
+          data: {
+            number: 1,
+            head: {
+              sha: "headsha",
+              ref: "feature",
+              repo: { full_name: "o/r" },
+            },
+          },
+        }),
+        getReviewComment: jest.fn(),
+        listReviews: jest.fn().mockResolvedValue({ data: [] }),
+        dismissReview: jest.fn().mockResolvedValue({}),
+        createReplyForReviewComment: jest.fn().mockResolvedValue({}),
+      },
+      issues: {
+        listComments: jest.fn().mockResolvedValue({ data: [] }),
+        createComment: jest.fn().mockResolvedValue({}),
+      },
+      repos: {
+        getContent: jest.fn(),
+        createOrUpdateFileContents: jest
+          .fn()
+          .mockResolvedValue({ data: { commit: { sha: "newsha" } } }),
+      },
+    },
+    paginate: jest.fn(async (method, params) => (await method(params)).data),
+    hook: { wrap: jest.fn() },
+    graphql: jest.fn(),
+  };
+  return octokit;
+}
+
+function createBot(octokit) {
+  github.getOctokit.mockReturnValue(octokit);
+  Object.assign(github.context, {
+    eventName: "pull_request_review_comment",
+    payload: { pull_request: { number: 1 } },
+    repo: { owner: "o", repo: "r" },
+  });
+  return new CodeReviewBot({
+    githubToken: "token",
+    provider: "anthropic",
+    apiKey: "key",
+    modelId: "claude",
+    commentLanguage: "en",
+  });
+}
+
+function fixComment({ fix: fixOverrides, ...overrides } = {}) {
+  const fix = {
+    path: "src/app.js",
+    line: 2,
+    original: ["const b = eval(input);"],
+    replacement: "const b = JSON.parse(input);",
+  };
+  return {
+    id: 10,
+    path: "src/app.js",
+    user: BOT,
+    body: `Use JSON.parse\n\n${buildFixMetadata({ ...fix, ...fixOverrides })}`,
+    ...overrides,
+  };
+}
+
+const applyFixReply = {
+  id: 11,
+  in_reply_to_id: 10,
+  body: "/apply-fix",
+  user: { login: "maintainer", type: "User" },
+};
+
+beforeEach(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+function summaryBody(sha) {
+  const state = updateSummaryState(null, {
+    sha,
+    results: [],
+    skipped: [],
+    model: "claude",
+  });
+  return renderSummary(state, {
+    provider: "the Anthropic API",
+    model: "claude",
+    language: "en",
+  });
+}
+
+describe("findSummaryComment", () => {
+  it("ignores summary markers posted by other authors", async () => {
+    const octokit = createOctokit();
+    octokit.rest.issues.listComments.mockResolvedValue({
+      data: [
+        { id: 1, user: DEVELOPER, body: summaryBody("f".repeat(40)) },
+        { id: 2, user: BOT, body: summaryBody("a".repeat(40)) },
+      ],
+    });
+
+    const comment = await createBot(octokit).findSummaryComment();
+
+    expect(comment.id).toBe(2);
+  });
+
+  it("finds nothing when only a forged summary exists", async () => {
+    const octokit = createOctokit();
+    octokit.rest.issues.listComments.mockResolvedValue({
+      data: [{ id: 1, user: DEVELOPER, body: summaryBody("f".repeat(40)) }],
+    });
+
+    await expect(
+      createBot(octokit).findSummaryComment()
+    ).resolves.toBeUndefined();
+  });
+});
+
+describe("dismissBlockingReviews", () => {
+  it("dismisses only the bot's own REQUEST_CHANGES reviews", async () => {
+    const octokit = createOctokit();
+    const marker = "<!-- ai-code-review:review -->";
+    octokit.rest.pulls.listReviews.mockResolvedValue({
+      data: [
+        { id: 1, user: BOT, state: "CHANGES_REQUESTED", body: `x\n${marker}` },
+        { id: 2, user: BOT, state: "COMMENTED", body: `x\n${marker}` },
+        {
+          id: 3,
+          user: DEVELOPER,
+          state: "CHANGES_REQUESTED",
+          body: `Please fix\n${marker}`,
+        },
+        { id: 4, user: BOT, state: "CHANGES_REQUESTED", body: "Other tool" },
+      ],
+    });
+
+    await createBot(octokit).dismissBlockingReviews();
+
+    expect(
+      octokit.rest.pulls.dismissReview.mock.calls.map(
+        ([params]) => params.review_id
+      )
+    ).toEqual([1]);
+  });
+});
+
+describe("handleApplyFix", () => {
+  it("commits the fix suggested by the bot", async () => {
+    const octokit = createOctokit();
+    octokit.rest.pulls.getReviewComment.mockResolvedValue({
+      data: fixComment(),
+    });
+    octokit.rest.repos.getContent.mockResolvedValue({
+      data: {
+        sha: "blobsha",
+        content: Buffer.from("const a = 1;\nconst b = eval(input);\n").toString(
+          "base64"
+        ),
+      },
+    });
+
+    await expect(
+      createBot(octokit).handleApplyFix(applyFixReply)
+    ).resolves.toBe(true);
+    const [[commit]] = octokit.rest.repos.createOrUpdateFileContents.mock.calls;
+    expect(commit).toMatchObject({ path: "src/app.js", branch: "feature" });
+    expect(Buffer.from(commit.content, "base64").toString()).toBe(
+      "const a = 1;\nconst b = JSON.parse(input);\n"
+    );
+  });
+
+  it("refuses a fix marker written by someone other than the bot", async () => {
+    const octokit = createOctokit();
+    octokit.rest.pulls.getReviewComment.mockResolvedValue({
+      data: fixComment({ user: DEVELOPER }),
+    });
+
+    await expect(
+      createBot(octokit).handleApplyFix(applyFixReply)
+    ).resolves.toBe(false);
+    expect(
+      octokit.rest.repos.createOrUpdateFileContents
+    ).not.toHaveBeenCalled();
+    expect(
+      octokit.rest.pulls.createReplyForReviewComment.mock.calls[0][0].body
+    ).toMatch(/only the fixes suggested by the AI review/);
+  });
+
+  it("refuses a fix for another file than the commented one", async () => {
+    const octokit = createOctokit();
+    octokit.rest.pulls.getReviewComment.mockResolvedValue({
+      data: fixComment({ fix: { path: ".github/workflows/release.yml" } }),
+    });
+
+    await expect(
+      createBot(octokit).handleApplyFix(applyFixReply)
+    ).resolves.toBe(false);
+    expect(octokit.rest.repos.getContent).not.toHaveBeenCalled();
+    expect(
+      octokit.rest.repos.createOrUpdateFileContents
+    ).not.toHaveBeenCalled();
+  });
+
+  it("only trusts the token's own login when it can be read", async () => {
+    const octokit = createOctokit();
+    octokit.rest.users.getAuthenticated.mockResolvedValue({
+      data: { login: "review-bot" },
+    });
+    octokit.rest.pulls.getReviewComment.mockResolvedValue({
+      data: fixComment({ user: { login: "other-app[bot]", type: "Bot" } }),
+    });
+
+    await expect(
+      createBot(octokit).handleApplyFix(applyFixReply)
+    ).resolves.toBe(false);
+    expect(
+      octokit.rest.repos.createOrUpdateFileContents
+    ).not.toHaveBeenCalled();
+  });
+});
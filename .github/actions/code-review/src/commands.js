@@ -0,0 +1,57 @@
+// Comandos que se pueden escribir en los comentarios del PR y el nivel de
+// acceso al repositorio que necesita su autor
+const COMMANDS = {
+  review: { permission: "write" },
+  summary: { permission: "write" },
+  explain: { permission: "write" },
+  ai: { permission: "write" },
+  "apply-fix": { permission: "write" },
+  dismiss: { permission: "write" },
+  "false-positive": { permission: "write" },
+  "ai-review": { permission: "write" },
+};
+
+// Niveles de getCollaboratorPermissionLevel, de menor a mayor
+const PERMISSION_LEVELS = {
+  none: 0,
+  read: 1,
+  triage: 1,
+  write: 2,
+  maintain: 2,
+  admin: 3,
+};
+
+// `/<comando> [argumentos]` al principio del comentario; null si no es un
+// comando conocido
+function parseCommand(body) {
+  const match = (body || "").trim().match(/^\/([a-z-]+)(?:\s+([\s\S]*))?$/);
+  if (!match || !COMMANDS[match[1]]) {
+    return null;
+  }
+  return {
+    name: match[1],
+    args: (match[2] || "").trim(),
+    permission: COMMANDS[match[1]].permission,
+  };
+}
+
+function hasPermission(level, required) {
+  return (PERMISSION_LEVELS[level] || 0) >= PERMISSION_LEVELS[required];
+}
+
+// Argumento de `/explain`: `42`, `40-50`, `src/app.js:42` o `src/app.js:40-50`
+function parseLineRange(args) {
+  const match = (args || "").match(/^(?:(\S+):)?(\d+)(?:-(\d+))?$/);
+  if (!match) {
+    return null;
+  }
+  const first = parseInt(match[2], 10);
+  const last = match[3] ? parseInt(match[3], 10) : first;
+  return {
+    path: match[1] || null,
+    startLine: Math.min(first, last),
+    line: Math.max(first, last),
+  };
+}
+
+module.exports = { COMMANDS, parseCommand, hasPermission, parseLineRange };
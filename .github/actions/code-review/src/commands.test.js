@@ -0,0 +1,67 @@
+const { parseCommand, hasPermission, parseLineRange } = require("./commands");
+
+describe("parseCommand", () => {
+  it("reads the command and its arguments", () => {
+    expect(parseCommand("/explain src/app.js:40-50")).toEqual({
+      name: "explain",
+      args: "src/app.js:40-50",
+      permission: "write",
+    });
+    expect(parseCommand("  /review  \n")).toMatchObject({
+      name: "review",
+      args: "",
+    });
+  });
+
+  it("keeps multi-line arguments", () => {
+    expect(parseCommand("/ai why is this\nslow?").args).toBe(
+      "why is this\nslow?"
+    );
+  });
+
+  it("ignores unknown commands and commands that are not at the start", () => {
+    expect(parseCommand("/deploy now")).toBeNull();
+    expect(parseCommand("please /review")).toBeNull();
+    expect(parseCommand("/reviewnow")).toBeNull();
+    expect(parseCommand(null)).toBeNull();
+  });
+});
+
+describe("hasPermission", () => {
+  it("compares the collaborator level with the required one", () => {
+    expect(hasPermission("admin", "write")).toBe(true);
+    expect(hasPermission("maintain", "write")).toBe(true);
+    expect(hasPermission("triage", "write")).toBe(false);
+    expect(hasPermission("read", "write")).toBe(false);
+  });
+
+  it("denies unknown levels", () => {
+    expect(hasPermission(undefined, "write")).toBe(false);
+    expect(hasPermission("owner", "write")).toBe(false);
+  });
+});
+
+describe("parseLineRange", () => {
+  it("accepts a line or a range, with or without a path", () => {
+    expect(parseLineRange("42")).toEqual({
+      path: null,
+      startLine: 42,
+      line: 42,
+    });
+    expect(parseLineRange("src/app.js:40-50")).toEqual({
+      path: "src/app.js",
+      startLine: 40,
+      line: 50,
+    });
+  });
+
+  it("orders reversed ranges", () => {
+    expect(parseLineRange("50-40")).toMatchObject({ startLine: 40, line: 50 });
+  });
+
+  it("returns null for anything else", () => {
+    expect(parseLineRange("")).toBeNull();
+    expect(parseLineRange("line 42")).toBeNull();
+    expect(parseLineRange("src/app.js")).toBeNull();
+  });
+});
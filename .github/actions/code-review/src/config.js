@@ -0,0 +1,287 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const Ajv = require("ajv");
+const configSchema = require("../schemas/config.schema.json");
+const { getContextWindow } = require("./tokens");
+const { readBaseline } = require("./suppressions");
+const {
+  SEVERITIES,
+  CATEGORIES,
+  normalizeSeverity,
+  normalizeCategory,
+} = require("./taxonomy");
+const { LOCALES } = require("./locales");
+const { REVIEW_PASSES, DEFAULT_PASSES } = require("./passes");
+const { readGuidelines } = require("./prompts");
+const { resolveRepoPath } = require("./utils");
+
+const DEFAULT_CONFIG_PATH = ".github/ai-review.yml";
+
+// Claves que solo se aceptan como entradas de la acción, con la entrada que
+// las sustituye. El archivo se lee del checkout del PR, así que su autor
+// podría enviar la API key a otro host, desactivar la búsqueda de secretos o
+// saltarse la puerta de fail-on excluyendo archivos, ignorando categorías o
+// aceptando sus propios hallazgos en otra línea base
+const INPUT_ONLY_KEYS = {
+  "api-base-url": "api-base-url",
+  "fail-on": "fail-on",
+  "secret-scan": "secret-scan",
+  "never-send-patterns": "never-send-patterns",
+  "exclude-patterns": "exclude-patterns",
+  baseline: "baseline",
+  "categories.ignore": "ignore-categories",
+  "overrides.exclude": "exclude-patterns",
+  "overrides.categories.ignore": "ignore-categories",
+};
+
+// "/overrides/0/categories" + "ignore" -> "overrides.categories.ignore"
+function keyPath(instancePath, key) {
+  return [
+    ...instancePath.split("/").filter((part) => !/^\d*$/.test(part)),
+    key,
+  ].join(".");
+}
+
+const ajv = new Ajv({ allErrors: true });
+const validateRepoConfig = ajv.compile(configSchema);
+
+// Lee el archivo de configuración del repositorio, si existe
+function readRepoConfig(configPath, workspace) {
+  const fullPath = path.resolve(workspace, configPath);
+  if (!fs.existsSync(fullPath)) {
+    return null;
+  }
+
+  let parsed;
+  try {
+    parsed = yaml.load(fs.readFileSync(fullPath, "utf-8"));
+  } catch (error) {
+    throw new Error(`Invalid YAML in ${configPath}: ${error.message}`);
+  }
+
+  // Un archivo vacío es equivalente a no tener configuración
+  if (parsed === null || parsed === undefined) {
+    return {};
+  }
+
+  if (!validateRepoConfig(parsed)) {
+    const problems = validateRepoConfig.errors.map((error) => {
+      const location = error.instancePath || "(root)";
+      const key = error.params.additionalProperty;
+      const input = key && INPUT_ONLY_KEYS[keyPath(error.instancePath, key)];
+      const detail =
+        error.keyword === "additionalProperties"
+          ? input
+            ? `"${key}" can only be set as an action input (${input})`
+            : `unknown key "${key}"`
+          : error.keyword === "enum"
+          ? `${error.message}: ${error.params.allowedValues.join(", ")}`
+          : error.message;
+      return `  - ${location}: ${detail}`;
+    });
+    throw new Error(`Invalid ${configPath}:\n${problems.join("\n")}`);
+  }
+
+  return parsed;
+}
+
+// Combina las entradas de la acción con el archivo del repositorio. Los
+// valores del archivo tienen prioridad porque las entradas siempre llegan con
+// sus valores por defecto. Proveedor,
+// modelo y región deciden a dónde van el código y las credenciales, así que
+// ahí manda la entrada y el archivo solo completa las vacías
+function mergeConfig(inputConfig, repoConfig) {
+  const file = repoConfig || {};
+  const pick = (key, fallback) => (key in file ? file[key] : fallback);
+  const fill = (key, input) => input || pick(key, input);
+  const ignore = inputConfig.ignoreCategories || [];
+
+  return {
+    ...inputConfig,
+    // "auto" equivale a no haber elegido proveedor
+    provider:
+      inputConfig.provider && inputConfig.provider !== "auto"
+        ? inputConfig.provider
+        : pick("provider", inputConfig.provider),
+    modelId: fill("model", inputConfig.modelId),
+    awsConfig: {
+      ...inputConfig.awsConfig,
+      region: fill("aws-region", inputConfig.awsConfig.region),
+    },
+    reviewScope: pick("review-scope", inputConfig.reviewScope),
+    contextLines: pick("context-lines", inputConfig.contextLines),
+    incremental: pick("incremental", inputConfig.incremental),
+    maxFiles: pick("max-files", inputConfig.maxFiles),
+    concurrency: pick("concurrency", inputConfig.concurrency),
+    maxTokens: pick("max-tokens", inputConfig.maxTokens),
+    maxCostPerRun: pick("max-cost-per-run", inputConfig.maxCostPerRun),
+    maxTokensPerRun: pick("max-tokens-per-run", inputConfig.maxTokensPerRun),
+    pricing: file.pricing || {},
+    contextWindow: pick("context-window", inputConfig.contextWindow),
+    contextBudget: pick("context-budget", inputConfig.contextBudget),
+    timeBudget:
+      "time-budget" in file
+        ? file["time-budget"] * 60 * 1000
+        : inputConfig.timeBudget,
+    commentThreshold: pick("comment-threshold", inputConfig.commentThreshold),
+    commentLanguage: pick("comment-language", inputConfig.commentLanguage),
+    passes: pick("passes", inputConfig.passes),
+    promptsPath: pick("prompts", inputConfig.promptsPath),
+    guidelinesPath: pick("guidelines", inputConfig.guidelinesPath),
+    instructions: file.instructions || "",
+    categories: normalizeCategories(file.categories, ignore),
+    languages: file.languages || {},
+    overrides: (file.overrides || []).map((override) => ({
+      paths: override.paths,
+      commentThreshold: override["comment-threshold"],
+      instructions: override.instructions,
+      prompts: override.prompts,
+      categories: override.categories
+        ? normalizeCategories(override.categories, ignore)
+        : undefined,
+    })),
+  };
+}
+
+// Las categorías ignoradas vienen siempre de la entrada `ignore-categories`
+function normalizeCategories(categories = {}, ignore = []) {
+  return {
+    focus: categories.focus || [],
+    ignore,
+  };
+}
+
+function requireSeverity(key, value) {
+  const severity = normalizeSeverity(value);
+  if (!severity) {
+    throw new Error(
+      `Invalid ${key} "${value}", expected ${SEVERITIES.join(", ")}`
+    );
+  }
+  return severity;
+}
+
+function requireCategories({ focus, ignore }) {
+  const normalize = (category) => {
+    const key = normalizeCategory(category);
+    if (!key) {
+      throw new Error(
+        `Invalid category "${category}", expected ${CATEGORIES.join(", ")}`
+      );
+    }
+    return key;
+  };
+  return { focus: focus.map(normalize), ignore: ignore.map(normalize) };
+}
+
+// Validaciones que aplican a la configuración ya combinada
+function validateConfig(config) {
+  if (!config.modelId) {
+    throw new Error(
+      'A model is required: set the "model" input or "model" in the repository config'
+    );
+  }
+
+  // Severidades y categorías en cualquier idioma, guardadas como claves
+  // internas (CRÍTICA -> critical, Seguridad -> security)
+  config.commentThreshold = requireSeverity(
+    "comment-threshold",
+    config.commentThreshold
+  );
+  config.failOn =
+    String(config.failOn).toLowerCase() === "none"
+      ? "none"
+      : requireSeverity("fail-on", config.failOn);
+  config.categories = requireCategories(config.categories);
+  config.overrides = config.overrides.map((override) => ({
+    ...override,
+    commentThreshold:
+      override.commentThreshold &&
+      requireSeverity("comment-threshold", override.commentThreshold),
+    categories: override.categories && requireCategories(override.categories),
+  }));
+
+  if (!config.passes || config.passes.length === 0) {
+    config.passes = DEFAULT_PASSES;
+  }
+  const unknownPass = config.passes.find((pass) => !REVIEW_PASSES[pass]);
+  if (unknownPass) {
+    throw new Error(
+      `Invalid pass "${unknownPass}", expected one of: ${Object.keys(
+        REVIEW_PASSES
+      ).join(", ")}`
+    );
+  }
+
+  if (!LOCALES[config.commentLanguage]) {
+    throw new Error(
+      `Invalid comment-language "${
+        config.commentLanguage
+      }", expected one of: ${Object.keys(LOCALES).join(", ")}`
+    );
+  }
+
+  if (config.maxTokens >= getContextWindow(config) * 0.9) {
+    throw new Error(
+      `max-tokens (${
+        config.maxTokens
+      }) leaves no room for the code in a context window of ${getContextWindow(
+        config
+      )} tokens`
+    );
+  }
+
+  if (!Number.isInteger(config.concurrency) || config.concurrency < 1) {
+    throw new Error(
+      `Invalid concurrency "${config.concurrency}", expected a positive integer`
+    );
+  }
+
+  if (!["diff", "full"].includes(config.reviewScope)) {
+    throw new Error(
+      `Invalid review-scope "${config.reviewScope}", expected "diff" or "full"`
+    );
+  }
+
+  return config;
+}
+
+function loadConfig(
+  inputConfig,
+  configPath = DEFAULT_CONFIG_PATH,
+  workspace = process.env.GITHUB_WORKSPACE || process.cwd()
+) {
+  const repoConfig = readRepoConfig(configPath, workspace);
+  if (repoConfig) {
+    console.log(`Loaded repository review config from ${configPath}`);
+  }
+  const config = validateConfig(mergeConfig(inputConfig, repoConfig));
+  config.baseline = config.baselinePath
+    ? readBaseline(config.baselinePath, workspace)
+    : [];
+  if (config.baseline.length) {
+    console.log(
+      `Loaded ${config.baseline.length} accepted findings from ${config.baselinePath}`
+    );
+  }
+  // Las plantillas de prompt y las normas se leen desde el repositorio; los
+  // directorios de plantillas se comprueban aquí para fallar antes de revisar
+  config.workspace = workspace;
+  [config.promptsPath, ...config.overrides.map((override) => override.prompts)]
+    .filter(Boolean)
+    .forEach((dir) => resolveRepoPath(workspace, dir));
+  config.guidelines = readGuidelines(config.guidelinesPath, workspace);
+  if (config.guidelines) {
+    console.log(`Loaded review guidelines from ${config.guidelines.path}`);
+  }
+  return config;
+}
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  loadConfig,
+  readRepoConfig,
+  mergeConfig,
+  validateConfig,
+};
@@ -0,0 +1,280 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  loadConfig,
+  mergeConfig,
+  readRepoConfig,
+  validateConfig,
+} = require("./config");
+
+function inputs(overrides = {}) {
+  return {
+    provider: "auto",
+    modelId: "",
+    apiBaseUrl: "",
+    apiKey: "secret-key",
+    awsConfig: { region: "" },
+    excludePatterns: ["node_modules/**"],
+    neverSendPatterns: ["**/.env*"],
+    secretScan: true,
+    maxFiles: 10,
+    concurrency: 4,
+    maxTokens: 4096,
+    commentThreshold: "medium",
+    commentLanguage: "en",
+    reviewScope: "diff",
+    failOn: "high",
+    ...overrides,
+  };
+}
+
+const workspaces = [];
+
+function makeWorkspace() {
+  const workspace = fs.mkdtempSync(path.join(os.tmpdir(), "ai-review-config-"));
+  workspaces.push(workspace);
+  return workspace;
+}
+
+function writeRepoConfig(content) {
+  const workspace = makeWorkspace();
+  fs.writeFileSync(path.join(workspace, "ai-review.yml"), content);
+  return workspace;
+}
+
+afterAll(() => {
+  for (const workspace of workspaces) {
+    fs.rmSync(workspace, { recursive: true, force: true });
+  }
+});
+
+describe("mergeConfig", () => {
+  it("lets the repository file override regular inputs", () => {
+    const config = mergeConfig(inputs(), {
+      "max-files": 3,
+      "comment-threshold": "high",
+      "time-budget": 2,
+    });
+
+    expect(config.maxFiles).toBe(3);
+    expect(config.commentThreshold).toBe("high");
+    expect(config.timeBudget).toBe(2 * 60 * 1000);
+  });
+
+  it("never takes the settings that skip findings from the file", () => {
+    const config = mergeConfig(
+      inputs({ baselinePath: ".ai-review-baseline.json" }),
+      {
+        "exclude-patterns": ["**"],
+        baseline: "accepted.json",
+        categories: { focus: ["performance"], ignore: ["security"] },
+        overrides: [
+          {
+            paths: ["**"],
+            exclude: true,
+            categories: { ignore: ["security"] },
+          },
+        ],
+      }
+    );
+
+    expect(config.excludePatterns).toEqual(["node_modules/**"]);
+    expect(config.baselinePath).toBe(".ai-review-baseline.json");
+    expect(config.categories).toEqual({ focus: ["performance"], ignore: [] });
+    expect(config.overrides).toEqual([
+      expect.objectContaining({ categories: { focus: [], ignore: [] } }),
+    ]);
+    expect(config.overrides[0]).not.toHaveProperty("exclude");
+  });
+
+  it("takes the ignored categories from the input, also in overrides", () => {
+    const config = mergeConfig(inputs({ ignoreCategories: ["style"] }), {
+      overrides: [{ paths: ["src/**"], categories: { focus: ["security"] } }],
+    });
+
+    expect(config.categories.ignore).toEqual(["style"]);
+    expect(config.overrides[0].categories).toEqual({
+      focus: ["security"],
+      ignore: ["style"],
+    });
+  });
+
+  it("keeps the provider, model and region of the inputs when they are set", () => {
+    const config = mergeConfig(
+      inputs({
+        provider: "anthropic",
+        modelId: "claude",
+        awsConfig: { region: "eu-west-1" },
+      }),
+      { provider: "openai", model: "other", "aws-region": "us-east-1" }
+    );
+
+    expect(config.provider).toBe("anthropic");
+    expect(config.modelId).toBe("claude");
+    expect(config.awsConfig.region).toBe("eu-west-1");
+  });
+
+  it("fills the provider, model and region the inputs leave empty", () => {
+    const config = mergeConfig(inputs(), {
+      provider: "bedrock-converse",
+      model: "amazon.nova-pro-v1:0",
+      "aws-region": "us-east-1",
+    });
+
+    expect(config.provider).toBe("bedrock-converse");
+    expect(config.modelId).toBe("amazon.nova-pro-v1:0");
+    expect(config.awsConfig.region).toBe("us-east-1");
+  });
+
+  it("never takes the security settings from the file", () => {
+    const config = mergeConfig(inputs({ apiBaseUrl: "" }), {
+      "api-base-url": "https://attacker.example",
+      "fail-on": "none",
+      "secret-scan": false,
+      "never-send-patterns": ["**"],
+    });
+
+    expect(config.apiBaseUrl).toBe("");
+    expect(config.failOn).toBe("high");
+    expect(config.secretScan).toBe(true);
+    expect(config.neverSendPatterns).toEqual(["**/.env*"]);
+  });
+});
+
+describe("readRepoConfig", () => {
+  it("returns null when the file does not exist", () => {
+    expect(readRepoConfig("ai-review.yml", makeWorkspace())).toBeNull();
+  });
+
+  it("treats an empty file as an empty config", () => {
+    expect(readRepoConfig("ai-review.yml", writeRepoConfig(""))).toEqual({});
+  });
+
+  it("rejects the keys that can only be action inputs", () => {
+    const workspace = writeRepoConfig(
+      "api-base-url: https://attacker.example\nfail-on: none\n"
+    );
+
+    expect(() => readRepoConfig("ai-review.yml", workspace)).toThrow(
+      /"api-base-url" can only be set as an action input[\s\S]*"fail-on" can only be set as an action input/
+    );
+  });
+
+  it("names the input that replaces nested input-only keys", () => {
+    const workspace = writeRepoConfig(
+      [
+        "exclude-patterns: ['**']",
+        "categories:",
+        "  ignore: [security]",
+        "overrides:",
+        "  - paths: ['**']",
+        "    exclude: true",
+      ].join("\n")
+    );
+
+    expect(() => readRepoConfig("ai-review.yml", workspace)).toThrow(
+      /"exclude-patterns" can only be set as an action input \(exclude-patterns\)[\s\S]*"ignore" can only be set as an action input \(ignore-categories\)[\s\S]*"exclude" can only be set as an action input \(exclude-patterns\)/
+    );
+  });
+
+  it("reports unknown keys and invalid values", () => {
+    const workspace = writeRepoConfig("max-file: 3\nreview-scope: all\n");
+
+    expect(() => readRepoConfig("ai-review.yml", workspace)).toThrow(
+      /unknown key "max-file"[\s\S]*\/review-scope: must be equal to one of the allowed values: diff, full/
+    );
+  });
+});
+
+describe("validateConfig", () => {
+  it("requires a model", () => {
+    expect(() => validateConfig(mergeConfig(inputs(), {}))).toThrow(
+      /A model is required/
+    );
+  });
+
+  it("normalizes severities and categories in any language", () => {
+    const config = validateConfig(
+      mergeConfig(inputs({ modelId: "claude", failOn: "ALTA" }), {
+        "comment-threshold": "MEDIA",
+        categories: { focus: ["Seguridad"] },
+      })
+    );
+
+    expect(config.commentThreshold).toBe("medium");
+    expect(config.failOn).toBe("high");
+    expect(config.categories.focus).toEqual(["security"]);
+  });
+});
+
+describe("loadConfig", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("reads the guidelines and baseline from the workspace", () => {
+    const workspace = writeRepoConfig("guidelines: docs/review.md\n");
+    fs.mkdirSync(path.join(workspace, "docs"));
+    fs.writeFileSync(path.join(workspace, "docs/review.md"), "Use tabs");
+    fs.writeFileSync(path.join(workspace, "baseline.json"), "[]");
+
+    const config = loadConfig(
+      inputs({ modelId: "claude", baselinePath: "baseline.json" }),
+      "ai-review.yml",
+      workspace
+    );
+
+    expect(config.guidelines).toEqual({
+      path: "docs/review.md",
+      text: "Use tabs",
+    });
+    expect(config.baseline).toEqual([]);
+  });
+
+  it("rejects prompt and guidelines paths outside the workspace", () => {
+    const outside = makeWorkspace();
+    fs.writeFileSync(path.join(outside, "secret.md"), "token");
+
+    for (const content of [
+      "prompts: ../prompts\n",
+      "overrides:\n  - paths: ['**']\n    prompts: /etc\n",
+      `guidelines: ${path.join(outside, "secret.md")}\n`,
+    ]) {
+      const workspace = writeRepoConfig(content);
+      expect(() =>
+        loadConfig(inputs({ modelId: "claude" }), "ai-review.yml", workspace)
+      ).toThrow(/is outside the repository workspace/);
+    }
+  });
+
+  it("rejects a symbolic link that points outside the workspace", () => {
+    const outside = makeWorkspace();
+    fs.writeFileSync(path.join(outside, "credentials"), "token");
+    const workspace = writeRepoConfig("guidelines: review.md\n");
+    fs.symlinkSync(
+      path.join(outside, "credentials"),
+      path.join(workspace, "review.md")
+    );
+
+    expect(() =>
+      loadConfig(inputs({ modelId: "claude" }), "ai-review.yml", workspace)
+    ).toThrow(/review.md is outside the repository workspace/);
+  });
+
+  it("rejects a baseline outside the workspace", () => {
+    const workspace = makeWorkspace();
+
+    expect(() =>
+      loadConfig(
+        inputs({ modelId: "claude", baselinePath: "../baseline.json" }),
+        "ai-review.yml",
+        workspace
+      )
+    ).toThrow(/is outside the repository workspace/);
+  });
+});
@@ -0,0 +1,239 @@
+const path = require("path");
+const { estimateTokens, CHARS_PER_TOKEN } = require("./tokens");
+const { isDeclaration } = require("./chunker");
+
+// Extensiones probadas al resolver un import sin extensión
+const MODULE_EXTENSIONS = [".js", ".ts", ".jsx", ".tsx", ".mjs", ".cjs"];
+
+// Extensiones de plantillas probadas si el archivo no fija `view engine`
+const VIEW_EXTENSIONS = [".hbs", ".handlebars", ".ejs", ".pug", ".html"];
+
+// Un archivo por debajo de este tamaño se incluye completo en lugar de solo
+// sus declaraciones
+const FULL_FILE_TOKENS = 400;
+
+const IMPORT_PATTERNS = [
+  /require\(\s*["'`](\.{1,2}\/[^"'`]+)["'`]\s*\)/g,
+  /(?:import|export)\s[^"';]*?from\s*["'](\.{1,2}\/[^"']+)["']/g,
+  /import\s*\(\s*["'](\.{1,2}\/[^"']+)["']\s*\)/g,
+  /import\s+["'](\.{1,2}\/[^"']+)["']/g,
+];
+const PYTHON_IMPORT_PATTERN = /^from\s+(\.+)([\w.]*)\s+import\b/gm;
+const RENDER_PATTERN = /\.render\(\s*["'`]([^"'`$]+)["'`]/g;
+const VIEW_ENGINE_PATTERN =
+  /\.set\(\s*["']view engine["']\s*,\s*["']([\w-]+)["']/;
+
+// Reúne extractos de los archivos relacionados con el que se revisa: los
+// módulos locales que importa y las vistas que renderiza, y a su vez los
+// archivos del PR que estos referencian. Todo dentro de `budget` tokens
+class ContextBuilder {
+  constructor({ loadFile, prFiles = [], budget }) {
+    this.loadFile = loadFile;
+    this.prFiles = new Set(prFiles);
+    this.budget = budget;
+    this.cache = new Map();
+  }
+
+  // Devuelve el contenido o null si el archivo no existe. Se cachea porque
+  // varios archivos revisados suelen importar los mismos módulos
+  read(filePath) {
+    if (!this.cache.has(filePath)) {
+      this.cache.set(
+        filePath,
+        Promise.resolve()
+          .then(() => this.loadFile(filePath))
+          .catch(() => null)
+      );
+    }
+    return this.cache.get(filePath);
+  }
+
+  async build(filename, content) {
+    if (!this.budget) {
+      return [];
+    }
+
+    const related = await this.resolveReferences(filename, content);
+    const seen = new Set([filename, ...related.map((item) => item.path)]);
+
+    // Segundo nivel: solo los archivos del PR que referencian los anteriores
+    for (const item of [...related]) {
+      if (!this.prFiles.has(item.path) || item.kind === "view") {
+        continue;
+      }
+      for (const nested of await this.resolveReferences(
+        item.path,
+        item.content
+      )) {
+        if (this.prFiles.has(nested.path) && !seen.has(nested.path)) {
+          seen.add(nested.path);
+          related.push({ ...nested, via: item.path });
+        }
+      }
+    }
+
+    return this.fitToBudget(related);
+  }
+
+  // Resuelve los imports locales y las vistas de un archivo a los archivos
+  // que existen, con su contenido
+  async resolveReferences(filename, content) {
+    const dir = path.posix.dirname(filename);
+    const references = [];
+
+    for (const specifier of findImports(content)) {
+      const candidates = moduleCandidates(dir, specifier);
+      const resolved = await this.firstExisting(candidates);
+      if (resolved) {
+        references.push({ ...resolved, kind: "module" });
+      }
+    }
+
+    const viewEngine = (content.match(VIEW_ENGINE_PATTERN) || [])[1];
+    for (const view of matchAll(content, RENDER_PATTERN)) {
+      const resolved = await this.firstExisting(
+        viewCandidates(dir, view, viewEngine)
+      );
+      if (resolved) {
+        references.push({ ...resolved, kind: "view" });
+      }
+    }
+
+    // Sin duplicados y sin el propio archivo
+    return references.filter(
+      (item, index) =>
+        item.path !== filename &&
+        references.findIndex((other) => other.path === item.path) === index
+    );
+  }
+
+  async firstExisting(candidates) {
+    for (const candidate of candidates) {
+      const content = await this.read(candidate);
+      if (content !== null && content !== undefined) {
+        return { path: candidate, content };
+      }
+    }
+    return null;
+  }
+
+  // Los archivos del PR van primero porque sus cambios son los que más
+  // probablemente afectan al archivo revisado
+  fitToBudget(related) {
+    const ordered = [
+      ...related.filter((item) => this.prFiles.has(item.path)),
+      ...related.filter((item) => !this.prFiles.has(item.path)),
+    ];
+
+    let remaining = this.budget;
+    const sections = [];
+    for (const item of ordered) {
+      let excerpt = excerptOf(item);
+      let tokens = estimateTokens(excerpt);
+      if (tokens > remaining) {
+        excerpt = truncateToTokens(excerpt, remaining);
+        tokens = estimateTokens(excerpt);
+      }
+      if (!excerpt) {
+        continue;
+      }
+      sections.push({
+        path: item.path,
+        kind: item.kind,
+        inPullRequest: this.prFiles.has(item.path),
+        excerpt,
+      });
+      remaining -= tokens;
+    }
+    return sections;
+  }
+}
+
+function matchAll(content, pattern) {
+  return [...content.matchAll(pattern)].map((match) => match[1]);
+}
+
+function findImports(content) {
+  const specifiers = IMPORT_PATTERNS.flatMap((pattern) =>
+    matchAll(content, pattern)
+  );
+  // Imports relativos de Python: "from .utils import x" -> "./utils"
+  for (const match of content.matchAll(PYTHON_IMPORT_PATTERN)) {
+    const up = match[1].length - 1;
+    const modulePath = match[2].replace(/\./g, "/");
+    specifiers.push(
+      `${up ? "../".repeat(up) : "./"}${modulePath || "__init__"}.py`
+    );
+  }
+  return [...new Set(specifiers)];
+}
+
+function moduleCandidates(dir, specifier) {
+  const base = path.posix.normalize(path.posix.join(dir, specifier));
+  if (base.startsWith("..")) {
+    return [];
+  }
+  if (path.posix.extname(base)) {
+    return [base];
+  }
+  return [
+    ...MODULE_EXTENSIONS.map((extension) => `${base}${extension}`),
+    ...MODULE_EXTENSIONS.map((extension) => `${base}/index${extension}`),
+  ];
+}
+
+// Express busca las vistas en "views/" junto a la aplicación; se prueba
+// junto al archivo y en la raíz del repositorio
+function viewCandidates(dir, view, viewEngine) {
+  const extensions = path.posix.extname(view)
+    ? [""]
+    : viewEngine
+    ? [`.${viewEngine}`]
+    : VIEW_EXTENSIONS;
+  const roots = [...new Set([path.posix.join(dir, "views"), "views"])];
+  return roots.flatMap((root) =>
+    extensions.map((extension) =>
+      path.posix.normalize(path.posix.join(root, `${view}${extension}`))
+    )
+  );
+}
+
+// Las plantillas y los módulos pequeños se incluyen completos; del resto,
+// solo las declaraciones y lo que exportan, con su número de línea
+function excerptOf(item) {
+  if (
+    item.kind === "view" ||
+    estimateTokens(item.content) <= FULL_FILE_TOKENS
+  ) {
+    return item.content.trimEnd();
+  }
+
+  const lines = item.content.split("\n");
+  return lines
+    .map((line, index) => ({ line, number: index + 1 }))
+    .filter(
+      ({ line }) =>
+        isDeclaration(line) ||
+        /^\s*(module\.exports|exports\.[\w$]+\s*=|export\s)/.test(line)
+    )
+    .map(({ line, number }) => `${String(number).padStart(5)}  ${line}`)
+    .join("\n");
+}
+
+// Recorta por caracteres y, si queda algún salto de línea, en el último para
+// no partir líneas. Un archivo cuya primera línea ya no cabe (minificado, un
+// JSON en una línea) conserva su comienzo en lugar de desaparecer
+function truncateToTokens(text, tokens) {
+  const maxChars = Math.floor(
+    (tokens - estimateTokens("\n...")) * CHARS_PER_TOKEN
+  );
+  if (maxChars <= 0) {
+    return "";
+  }
+  const cut = text.slice(0, maxChars);
+  const lastBreak = cut.lastIndexOf("\n");
+  const kept = lastBreak > 0 ? cut.slice(0, lastBreak) : cut;
+  return kept.trim() ? `${kept}\n...` : "";
+}
+
+module.exports = { ContextBuilder, findImports };
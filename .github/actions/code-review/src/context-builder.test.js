@@ -0,0 +1,116 @@
+const { ContextBuilder, findImports } = require("./context-builder");
+
+function createBuilder(files, { prFiles = [], budget = 10000 } = {}) {
+  return new ContextBuilder({
+    loadFile: async (filePath) => {
+      if (!(filePath in files)) {
+        throw new Error(`${filePath} not found`);
+      }
+      return files[filePath];
+    },
+    prFiles,
+    budget,
+  });
+}
+
+describe("findImports", () => {
+  it("finds relative requires, imports and Python imports", () => {
+    const content = [
+      'const db = require("./db");',
+      'const lodash = require("lodash");',
+      'import { render } from "../views/render";',
+      'export * from "./types";',
+      'const lazy = await import("./lazy");',
+      'import "./polyfills";',
+      "from .models import User",
+      "from ..shared.auth import login",
+    ].join("\n");
+
+    expect(findImports(content)).toEqual([
+      "./db",
+      "../views/render",
+      "./types",
+      "./lazy",
+      "./polyfills",
+      "./models.py",
+      "../shared/auth.py",
+    ]);
+  });
+});
+
+describe("ContextBuilder.build", () => {
+  it("resolves imports and views, with the pull request files first", async () => {
+    const builder = createBuilder(
+      {
+        "src/db.js": "module.exports = { query };\n",
+        "src/users/index.ts": "export function findUser() {}\n",
+        "src/views/profile.ejs": "<h1><%= user.name %></h1>\n",
+      },
+      { prFiles: ["src/users/index.ts"] }
+    );
+
+    const sections = await builder.build(
+      "src/app.js",
+      [
+        'const db = require("./db");',
+        'const users = require("./users");',
+        'res.render("profile");',
+      ].join("\n")
+    );
+
+    expect(
+      sections.map(({ path, kind, inPullRequest }) => [
+        path,
+        kind,
+        inPullRequest,
+      ])
+    ).toEqual([
+      ["src/users/index.ts", "module", true],
+      ["src/db.js", "module", false],
+      ["src/views/profile.ejs", "view", false],
+    ]);
+  });
+
+  it("follows the references of pull request files one level down", async () => {
+    const builder = createBuilder(
+      {
+        "src/service.js": 'const repo = require("./repo");\n',
+        "src/repo.js": 'const model = require("./model");\n',
+        "src/model.js": "module.exports = {};\n",
+      },
+      { prFiles: ["src/service.js", "src/repo.js", "src/model.js"] }
+    );
+
+    const sections = await builder.build("src/app.js", 'require("./service");');
+
+    expect(sections.map((section) => section.path)).toEqual([
+      "src/service.js",
+      "src/repo.js",
+    ]);
+  });
+
+  it("keeps the start of a file whose first line exceeds the budget", async () => {
+    const minified = `!function(){${"var a=1;".repeat(150)}}();`;
+    const builder = createBuilder(
+      { "src/vendor.min.js": minified },
+      { budget: 50 }
+    );
+
+    const [section] = await builder.build(
+      "src/app.js",
+      'require("./vendor.min.js");'
+    );
+
+    expect(section.excerpt.startsWith("!function(){var a=1;")).toBe(true);
+    expect(section.excerpt.endsWith("\n...")).toBe(true);
+    expect(section.excerpt.length).toBeLessThanOrEqual(50 * 3.5);
+  });
+
+  it("returns nothing without a budget", async () => {
+    const builder = createBuilder({ "src/db.js": "x" }, { budget: 0 });
+
+    await expect(
+      builder.build("src/app.js", 'require("./db");')
+    ).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,209 @@
+const { estimateTokens } = require("./tokens");
+
+// Líneas de código alrededor del hallazgo que se envían al responder
+const CODE_RADIUS = 20;
+
+// Tokens máximos de los patches del PR para `/ai` fuera de un hilo y `/summary`
+const PULL_REQUEST_DIFF_TOKENS = 8000;
+
+const DESCRIPTION_START = "<!-- ai-code-review:description -->";
+const DESCRIPTION_END = "<!-- /ai-code-review:description -->";
+
+const ASSISTANT_INSTRUCTIONS = `You are the AI code reviewer of this pull request, answering a developer in a GitHub conversation.
+Answer the latest message directly and concisely in GitHub Markdown. Base your answer only on the code and discussion shown. If the developer shows that a finding is wrong, acknowledge it plainly instead of defending it. When you propose code, use fenced code blocks.`;
+
+const DESCRIPTION_INSTRUCTIONS = `You write pull request descriptions for reviewers.
+Start with a short paragraph that explains what the pull request does and why, followed by a bullet list of the main changes grouped by area. Mention risks or follow-up work only if the diff shows them. Use GitHub Markdown, do not invent changes that are not in the diff, and reply with the description only.`;
+
+// Quita los marcadores HTML ocultos del bot de un comentario
+function stripMarkers(body) {
+  return (body || "").replace(/<!--[\s\S]*?-->/g, "").trim();
+}
+
+// Líneas numeradas alrededor del rango `startLine`-`line`, con las líneas del
+// rango marcadas con ">"
+function codeAround(content, { startLine, line }, radius = CODE_RADIUS) {
+  const lines = content.split("\n");
+  const first = startLine || line;
+  const from = Math.max(1, first - radius);
+  const to = Math.min(lines.length, line + radius);
+  const rows = [];
+  for (let n = from; n <= to; n++) {
+    const marker = n >= first && n <= line ? ">" : " ";
+    rows.push(`${String(n).padStart(5)} ${marker} ${lines[n - 1]}`);
+  }
+  return rows.join("\n");
+}
+
+// Patches de los archivos del PR hasta agotar el presupuesto de tokens
+function formatPatches(files) {
+  let remaining = PULL_REQUEST_DIFF_TOKENS;
+  const patches = [];
+  for (const file of files) {
+    const section = `### ${file.filename}\n\`\`\`diff\n${
+      file.patch || "(no textual diff)"
+    }\n\`\`\``;
+    const tokens = estimateTokens(section);
+    if (tokens > remaining) {
+      patches.push(`### ${file.filename}\n(diff omitted, too large)`);
+      continue;
+    }
+    patches.push(section);
+    remaining -= tokens;
+  }
+  return patches.join("\n\n");
+}
+
+// `language` es el idioma de `comment-language` en que se pide la respuesta
+function buildPrompt(
+  text,
+  { system = ASSISTANT_INSTRUCTIONS, language = "English" } = {}
+) {
+  return {
+    system: `${system}\nWrite your answer in ${language}.`,
+    messages: [{ role: "user", content: [{ type: "text", text }] }],
+  };
+}
+
+// Prompt para responder en un hilo de revisión: el hallazgo original (si el
+// hilo lo abrió el bot), el código que señala y la conversación hasta ahora
+function buildThreadPrompt({
+  path,
+  line,
+  finding,
+  code,
+  thread,
+  message,
+  language,
+}) {
+  return buildPrompt(
+    `## File
+${path}${line ? `, line ${line}` : ""}
+
+${
+  finding
+    ? `## Your original finding
+${stripMarkers(finding)}
+
+`
+    : ""
+}${
+      code
+        ? `## Code at the head of the pull request
+\`\`\`
+${code}
+\`\`\`
+
+`
+        : ""
+    }${
+      thread.length
+        ? `## Conversation so far
+${thread
+  .map((entry) => `**@${entry.author}**: ${stripMarkers(entry.body)}`)
+  .join("\n\n")}
+
+`
+        : ""
+    }## Message to answer
+${message}`,
+    { language }
+  );
+}
+
+// Prompt para `/ai` en la conversación del PR: título, descripción, los
+// hallazgos abiertos y los patches que quepan en el presupuesto
+function buildPullRequestPrompt({
+  pullRequest,
+  files,
+  openFindings,
+  question,
+  language,
+}) {
+  const findings = Object.entries(openFindings || {}).flatMap(
+    ([path, fileFindings]) =>
+      fileFindings.map(
+        (finding) =>
+          `- ${path}:${finding.line} [${finding.severity}] ${finding.description}`
+      )
+  );
+
+  return buildPrompt(
+    `## Pull request
+${pullRequest.title}
+
+${pullRequest.body || "(no description)"}
+
+## Open review findings
+${findings.join("\n") || "None"}
+
+## Changes
+${formatPatches(files)}
+
+## Question
+${question}`,
+    { language }
+  );
+}
+
+// Prompt para `/explain`: el rango marcado con ">" y el código de alrededor
+function buildExplainPrompt({ path, startLine, line, code, language }) {
+  const range =
+    startLine && startLine < line
+      ? `lines ${startLine}-${line}`
+      : `line ${line}`;
+  return buildPrompt(
+    `## File
+${path}
+
+## Code at the head of the pull request
+\`\`\`
+${code}
+\`\`\`
+
+## Message to answer
+Explain what ${range} (marked with ">") of this file do${
+      startLine && startLine < line ? "" : "es"
+    }: the intent, how it works, and anything a reviewer should watch out for.`,
+    { language }
+  );
+}
+
+// Prompt para `/summary`: descripción del PR a partir de sus cambios
+function buildDescriptionPrompt({ pullRequest, files, language }) {
+  return buildPrompt(
+    `## Pull request title
+${pullRequest.title}
+
+## Changes
+${formatPatches(files)}`,
+    { system: DESCRIPTION_INSTRUCTIONS, language }
+  );
+}
+
+// Inserta la descripción generada en el cuerpo del PR, reemplazando la de un
+// `/summary` anterior y conservando el texto escrito por el autor
+function applyGeneratedDescription(body, description) {
+  const block = `${DESCRIPTION_START}\n${description.trim()}\n${DESCRIPTION_END}`;
+  const current = body || "";
+  const start = current.indexOf(DESCRIPTION_START);
+  const end = current.indexOf(DESCRIPTION_END);
+  if (start !== -1 && end > start) {
+    return (
+      current.slice(0, start) +
+      block +
+      current.slice(end + DESCRIPTION_END.length)
+    );
+  }
+  return current.trim() ? `${current.trim()}\n\n${block}` : block;
+}
+
+module.exports = {
+  stripMarkers,
+  codeAround,
+  buildThreadPrompt,
+  buildPullRequestPrompt,
+  buildExplainPrompt,
+  buildDescriptionPrompt,
+  applyGeneratedDescription,
+};
@@ -56,6 +56,244 @@ class DiffParser {
     return changes;
   }
 
+  // Convierte el patch de GitHub en hunks con los números de línea del archivo
+  // original (oldLine) y del archivo nuevo (newLine) para cada línea
+  parseHunks(patch) {
+    const hunks = [];
+    let currentHunk = null;
+    let oldLine = 0;
+    let newLine = 0;
+
+    for (const line of (patch || "").split("\n")) {
+      const hunkHeader = line.match(
+        /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/
+      );
+
+      if (hunkHeader) {
+        oldLine = parseInt(hunkHeader[1], 10);
+        newLine = parseInt(hunkHeader[3], 10);
+        currentHunk = { oldStart: oldLine, newStart: newLine, lines: [] };
+        hunks.push(currentHunk);
+        continue;
+      }
+
+      // Ignorar cualquier cosa antes del primer hunk y los marcadores
+      // del tipo "\ No newline at end of file"
+      if (!currentHunk || line.startsWith("\\")) {
+        continue;
+      }
+
+      if (line.startsWith("+")) {
+        currentHunk.lines.push({
+          type: "add",
+          newLine: newLine++,
+          content: line.slice(1),
+        });
+      } else if (line.startsWith("-")) {
+        currentHunk.lines.push({
+          type: "del",
+          oldLine: oldLine++,
+          content: line.slice(1),
+        });
+      } else if (line.startsWith(" ")) {
+        currentHunk.lines.push({
+          type: "context",
+          oldLine: oldLine++,
+          newLine: newLine++,
+          content: line.slice(1),
+        });
+      }
+    }
+
+    return hunks;
+  }
+
+  // Divide la salida de `git diff` en archivos con el mismo formato que
+  // devuelve la API de GitHub: { filename, previous_filename, status, patch },
+  // donde el patch empieza en el primer hunk
+  splitDiff(diffText) {
+    const files = [];
+    let current = null;
+    let inHunks = false;
+
+    for (const line of diffText.split("\n")) {
+      const header = line.match(/^diff --git a\/(.+) b\/(.+)$/);
+      if (header) {
+        current = {
+          filename: header[2],
+          status: "modified",
+          patch: [],
+        };
+        files.push(current);
+        inHunks = false;
+        continue;
+      }
+
+      if (!current) {
+        continue;
+      }
+
+      if (!inHunks) {
+        if (line.startsWith("@@")) {
+          inHunks = true;
+        } else if (line.startsWith("new file mode")) {
+          current.status = "added";
+          continue;
+        } else if (line.startsWith("deleted file mode")) {
+          current.status = "removed";
+          continue;
+        } else if (line.startsWith("rename from ")) {
+          current.status = "renamed";
+          current.previous_filename = line.slice("rename from ".length);
+          continue;
+        } else if (line.startsWith("+++ b/")) {
+          current.filename = line.slice("+++ b/".length);
+          continue;
+        } else if (line.startsWith("Binary files")) {
+          current.binary = true;
+          continue;
+        } else {
+          continue;
+        }
+      }
+
+      current.patch.push(line);
+    }
+
+    return files.map((file) => ({
+      ...file,
+      // Sin la línea vacía final que deja la salida de git
+      patch: file.patch.length
+        ? file.patch.join("\n").replace(/\n$/, "")
+        : null,
+    }));
+  }
+
+  // Devuelve el conjunto de líneas del archivo nuevo añadidas o modificadas
+  getChangedLines(hunks) {
+    const changedLines = new Set();
+    for (const hunk of hunks) {
+      for (const line of hunk.lines) {
+        if (line.type === "add") {
+          changedLines.add(line.newLine);
+        }
+      }
+    }
+    return changedLines;
+  }
+
+  // Devuelve el conjunto de líneas del archivo original eliminadas por el patch
+  getDeletedLines(hunks) {
+    const deletedLines = new Set();
+    for (const hunk of hunks) {
+      for (const line of hunk.lines) {
+        if (line.type === "del") {
+          deletedLines.add(line.oldLine);
+        }
+      }
+    }
+    return deletedLines;
+  }
+
+  // Ubica un rango de líneas en el diff para un comentario de revisión.
+  // Devuelve los campos line/side (y start_line/start_side si el rango cubre
+  // varias líneas del mismo hunk) o null si la línea no aparece en el diff
+  locateRange(hunks, startLine, line, side = "RIGHT") {
+    const lineKey = side === "LEFT" ? "oldLine" : "newLine";
+    const hunk = hunks.find((h) =>
+      h.lines.some((l) => l[lineKey] === line && this.isOnSide(l, side))
+    );
+
+    if (!hunk) {
+      return null;
+    }
+
+    const location = { line, side };
+    const startInHunk = hunk.lines.some(
+      (l) => l[lineKey] === startLine && this.isOnSide(l, side)
+    );
+    if (startLine && startLine < line && startInHunk) {
+      location.start_line = startLine;
+      location.start_side = side;
+    }
+
+    return location;
+  }
+
+  // Las líneas de contexto existen en ambos lados del diff
+  isOnSide(diffLine, side) {
+    if (diffLine.type === "context") {
+      return true;
+    }
+    return side === "LEFT" ? diffLine.type === "del" : diffLine.type === "add";
+  }
+
+  // Construye un extracto del archivo con los cambios del patch y
+  // `contextLines` líneas de contexto alrededor, numerado según el archivo nuevo
+  buildExcerpt(patch, content, contextLines) {
+    const hunks = this.parseHunks(patch);
+    const changedLines = this.getChangedLines(hunks);
+    const deletedLines = this.getDeletedLines(hunks);
+    const fileLines = content.split("\n");
+
+    // Agrupar las líneas eliminadas según la línea nueva que les sigue
+    const deletionsBefore = new Map();
+    const anchors = [];
+    for (const hunk of hunks) {
+      let nextNewLine = hunk.newStart;
+      for (const line of hunk.lines) {
+        if (line.type === "del") {
+          if (!deletionsBefore.has(nextNewLine)) {
+            deletionsBefore.set(nextNewLine, []);
+            anchors.push(nextNewLine);
+          }
+          deletionsBefore.get(nextNewLine).push(line);
+        } else {
+          if (line.type === "add") {
+            anchors.push(line.newLine);
+          }
+          nextNewLine = line.newLine + 1;
+        }
+      }
+    }
+
+    // Marcar las líneas visibles: cada cambio más su contexto
+    const visible = new Set();
+    for (const anchor of anchors) {
+      const from = Math.max(1, anchor - contextLines);
+      const to = Math.min(fileLines.length, anchor + contextLines);
+      for (let n = from; n <= to; n++) {
+        visible.add(n);
+      }
+    }
+
+    const rows = [];
+    let previous = null;
+    for (let n = 1; n <= fileLines.length + 1; n++) {
+      const deletions = deletionsBefore.get(n) || [];
+      const isVisible = visible.has(n) && n <= fileLines.length;
+      if (!isVisible && deletions.length === 0) {
+        continue;
+      }
+
+      if (previous !== null && n - previous > 1) {
+        rows.push("...");
+      }
+      for (const deleted of deletions) {
+        rows.push(
+          `${String(deleted.oldLine).padStart(5)} - ${deleted.content}`
+        );
+      }
+      if (isVisible) {
+        const marker = changedLines.has(n) ? "+" : " ";
+        rows.push(`${String(n).padStart(5)} ${marker} ${fileLines[n - 1]}`);
+      }
+      previous = n;
+    }
+
+    return { excerpt: rows.join("\n"), changedLines, deletedLines };
+  }
+
   finalizeChange(change) {
     if (change.oldLines.length === 0) {
       change.type = "insert";
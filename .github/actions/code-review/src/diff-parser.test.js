@@ -0,0 +1,141 @@
+const { DiffParser } = require("./diff-parser");
+
+const parser = new DiffParser();
+
+const PATCH = [
+  "@@ -2,4 +2,5 @@ function main() {",
+  " const a = 1;",
+  "-const b = 2;",
+  "+const b = 3;",
+  "+const c = 4;",
+  " const d = 5;",
+  " return a;",
+  "\\ No newline at end of file",
+].join("\n");
+
+describe("parseHunks", () => {
+  it("numbers each line with the old and new file lines", () => {
+    const [hunk] = parser.parseHunks(PATCH);
+
+    expect(hunk).toMatchObject({ oldStart: 2, newStart: 2 });
+    expect(hunk.lines).toEqual([
+      { type: "context", oldLine: 2, newLine: 2, content: "const a = 1;" },
+      { type: "del", oldLine: 3, content: "const b = 2;" },
+      { type: "add", newLine: 3, content: "const b = 3;" },
+      { type: "add", newLine: 4, content: "const c = 4;" },
+      { type: "context", oldLine: 4, newLine: 5, content: "const d = 5;" },
+      { type: "context", oldLine: 5, newLine: 6, content: "return a;" },
+    ]);
+  });
+
+  it("keeps several hunks apart", () => {
+    const hunks = parser.parseHunks(
+      "@@ -1 +1 @@\n-a\n+b\n@@ -10,2 +10,3 @@\n x\n+y\n z"
+    );
+
+    expect(hunks.map((hunk) => hunk.newStart)).toEqual([1, 10]);
+    expect(parser.getChangedLines(hunks)).toEqual(new Set([1, 11]));
+    expect(parser.getDeletedLines(hunks)).toEqual(new Set([1]));
+  });
+
+  it("returns no hunks for an empty or missing patch", () => {
+    expect(parser.parseHunks("")).toEqual([]);
+    expect(parser.parseHunks(undefined)).toEqual([]);
+  });
+});
+
+describe("locateRange", () => {
+  const hunks = parser.parseHunks(PATCH);
+
+  it("places a single line on the new side", () => {
+    expect(parser.locateRange(hunks, null, 4)).toEqual({
+      line: 4,
+      side: "RIGHT",
+    });
+  });
+
+  it("adds the start of a range inside the same hunk", () => {
+    expect(parser.locateRange(hunks, 2, 5)).toEqual({
+      line: 5,
+      side: "RIGHT",
+      start_line: 2,
+      start_side: "RIGHT",
+    });
+  });
+
+  it("drops the start when it is outside the diff", () => {
+    expect(parser.locateRange(hunks, 1, 3)).toEqual({
+      line: 3,
+      side: "RIGHT",
+    });
+  });
+
+  it("places deleted lines on the old side", () => {
+    expect(parser.locateRange(hunks, null, 3, "LEFT")).toEqual({
+      line: 3,
+      side: "LEFT",
+    });
+    // Las líneas de contexto también existen en el lado LEFT
+    expect(parser.locateRange(hunks, 3, 4, "LEFT")).toEqual({
+      line: 4,
+      side: "LEFT",
+      start_line: 3,
+      start_side: "LEFT",
+    });
+  });
+
+  it("returns null for lines that are not in the diff", () => {
+    expect(parser.locateRange(hunks, null, 9)).toBeNull();
+    expect(parser.locateRange(hunks, null, 6, "LEFT")).toBeNull();
+  });
+});
+
+describe("buildExcerpt", () => {
+  it("shows the changes with their context numbered as the new file", () => {
+    const content = [
+      "function main() {",
+      "const a = 1;",
+      "const b = 3;",
+      "const c = 4;",
+      "const d = 5;",
+      "return a;",
+      "}",
+      "",
+      "// end",
+    ].join("\n");
+
+    const { excerpt, changedLines, deletedLines } = parser.buildExcerpt(
+      PATCH,
+      content,
+      1
+    );
+
+    expect(excerpt.split("\n")).toEqual([
+      "    2   const a = 1;",
+      "    3 - const b = 2;",
+      "    3 + const b = 3;",
+      "    4 + const c = 4;",
+      "    5   const d = 5;",
+    ]);
+    expect(changedLines).toEqual(new Set([3, 4]));
+    expect(deletedLines).toEqual(new Set([3]));
+  });
+
+  it("separates distant changes with an ellipsis", () => {
+    const content = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`).join(
+      "\n"
+    );
+    const patch =
+      "@@ -2 +2 @@\n-old 2\n+line 2\n@@ -15 +15 @@\n-old 15\n+line 15";
+
+    const { excerpt } = parser.buildExcerpt(patch, content, 0);
+
+    expect(excerpt.split("\n")).toEqual([
+      "    2 - old 2",
+      "    2 + line 2",
+      "...",
+      "   15 - old 15",
+      "   15 + line 15",
+    ]);
+  });
+});
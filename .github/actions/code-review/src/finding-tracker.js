@@ -0,0 +1,221 @@
+const { extractFingerprint, markAsReply, isWrittenByBot } = require("./utils");
+const { getLocale } = require("./locales");
+
+const LIST_THREADS_QUERY = `
+  query ($owner: String!, $repo: String!, $number: Int!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      pullRequest(number: $number) {
+        reviewThreads(first: 100, after: $cursor) {
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+          nodes {
+            id
+            isResolved
+            comments(first: 1) {
+              nodes {
+                databaseId
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+const RESOLVE_THREAD_MUTATION = `
+  mutation ($threadId: ID!) {
+    resolveReviewThread(input: { threadId: $threadId }) {
+      thread {
+        id
+      }
+    }
+  }
+`;
+
+// Sigue el ciclo de vida de los hallazgos ya publicados por el bot: evita
+// duplicados, actualiza los comentarios cuyo texto cambió y resuelve los
+// hilos de hallazgos que ya no aparecen
+class FindingTracker {
+  // `language` es el de `comment-language` para las respuestas en los hilos
+  // y `botLogin` el login del token, si se conoce (ver isWrittenByBot)
+  constructor(octokit, context, pullNumber, language, botLogin = null) {
+    this.octokit = octokit;
+    this.context = context;
+    this.pullNumber = pullNumber;
+    this.language = language;
+    this.botLogin = botLogin;
+    this.existing = new Map();
+    this.seen = new Set();
+  }
+
+  // Carga los comentarios raíz del bot que llevan huella. Los de otros
+  // autores se ignoran aunque copien el marcador: el bot los editaría y
+  // resolvería sus hilos
+  async load() {
+    const comments = await this.octokit.paginate(
+      this.octokit.rest.pulls.listReviewComments,
+      {
+        ...this.context.repo,
+        pull_number: this.pullNumber,
+        per_page: 100,
+      }
+    );
+
+    for (const comment of comments) {
+      const fingerprint = extractFingerprint(comment.body);
+      if (
+        fingerprint &&
+        !comment.in_reply_to_id &&
+        isWrittenByBot(comment, this.botLogin)
+      ) {
+        this.existing.set(fingerprint, comment);
+      }
+    }
+
+    console.log(`Found ${this.existing.size} existing findings in the PR`);
+    return this;
+  }
+
+  // Compara los comentarios nuevos con los existentes: omite los idénticos,
+  // edita los que cambiaron y devuelve solo los que hay que publicar
+  async sync(comments) {
+    const newComments = [];
+    let duplicates = 0;
+    let updated = 0;
+
+    for (const comment of comments) {
+      const previous = this.existing.get(comment.fingerprint);
+      if (!previous) {
+        newComments.push(comment);
+        continue;
+      }
+
+      this.seen.add(comment.fingerprint);
+      if (previous.body.trim() === comment.body.trim()) {
+        duplicates++;
+        continue;
+      }
+
+      try {
+        await this.octokit.rest.pulls.updateReviewComment({
+          ...this.context.repo,
+          comment_id: previous.id,
+          body: comment.body,
+        });
+        updated++;
+      } catch (error) {
+        console.error(`Error updating comment ${previous.id}:`, error);
+      }
+    }
+
+    console.log(
+      `Skipped ${duplicates} duplicate findings and updated ${updated} existing comments`
+    );
+    return newComments;
+  }
+
+  // Enlaces de los comentarios existentes por huella
+  getCommentLinks() {
+    return new Map(
+      [...this.existing.entries()].map(([fingerprint, comment]) => [
+        fingerprint,
+        comment.html_url,
+      ])
+    );
+  }
+
+  // Marca como vistos los hallazgos que se mantienen aunque no se comenten
+  // (por ejemplo, los que quedan por debajo del umbral)
+  markSeen(fingerprints) {
+    fingerprints.forEach((fingerprint) => this.seen.add(fingerprint));
+  }
+
+  // Responde y resuelve los hilos cuyos hallazgos ya no aparecen. Solo se
+  // consideran los archivos revisados en esta ejecución y, si la revisión se
+  // limitó a ciertas líneas, los comentarios sobre esas líneas o desactualizados
+  async resolveStale(reviewedScopes, headSha) {
+    const stale = [...this.existing.entries()]
+      .filter(([fingerprint]) => !this.seen.has(fingerprint))
+      .map(([, comment]) => comment)
+      .filter((comment) => {
+        if (!reviewedScopes.has(comment.path)) {
+          return false;
+        }
+        const changedLines = reviewedScopes.get(comment.path);
+        return (
+          !changedLines ||
+          comment.line === null ||
+          changedLines.has(comment.line)
+        );
+      });
+
+    if (stale.length === 0) {
+      return;
+    }
+
+    const threads = await this.loadThreads();
+    for (const comment of stale) {
+      const thread = threads.get(comment.id);
+      if (thread && thread.isResolved) {
+        continue;
+      }
+
+      try {
+        await this.octokit.rest.pulls.createReplyForReviewComment({
+          ...this.context.repo,
+          pull_number: this.pullNumber,
+          comment_id: comment.id,
+          body: markAsReply(getLocale(this.language).replies.resolved(headSha)),
+        });
+        if (thread) {
+          await this.octokit.graphql(RESOLVE_THREAD_MUTATION, {
+            threadId: thread.id,
+          });
+        }
+        console.log(`Resolved finding in ${comment.path} (${comment.id})`);
+      } catch (error) {
+        console.error(`Error resolving comment ${comment.id}:`, error);
+      }
+    }
+  }
+
+  // Resuelve el hilo que empieza en un comentario si sigue abierto
+  async resolveThread(commentId) {
+    const thread = (await this.loadThreads()).get(commentId);
+    if (thread && !thread.isResolved) {
+      await this.octokit.graphql(RESOLVE_THREAD_MUTATION, {
+        threadId: thread.id,
+      });
+    }
+  }
+
+  // Hilos de revisión del PR indexados por el id del primer comentario
+  async loadThreads() {
+    const threads = new Map();
+    let cursor = null;
+
+    do {
+      const { repository } = await this.octokit.graphql(LIST_THREADS_QUERY, {
+        ...this.context.repo,
+        number: this.pullNumber,
+        cursor,
+      });
+      const { nodes, pageInfo } = repository.pullRequest.reviewThreads;
+
+      for (const thread of nodes) {
+        const [first] = thread.comments.nodes;
+        if (first) {
+          threads.set(first.databaseId, thread);
+        }
+      }
+      cursor = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+    } while (cursor);
+
+    return threads;
+  }
+}
+
+module.exports = { FindingTracker };
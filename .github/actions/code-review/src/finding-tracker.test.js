@@ -0,0 +1,144 @@
+const { FindingTracker } = require("./finding-tracker");
+const { buildFingerprintMarker } = require("./utils");
+
+const BOT = { login: "github-actions[bot]", type: "Bot" };
+const DEVELOPER = { login: "dev", type: "User" };
+const context = { repo: { owner: "o", repo: "r" } };
+
+function reviewComment(id, fingerprint, overrides = {}) {
+  return {
+    id,
+    path: "a.js",
+    line: 3,
+    user: BOT,
+    html_url: `https://github.com/o/r/pull/1#discussion_r${id}`,
+    body: `Finding ${id}\n\n${buildFingerprintMarker(fingerprint)}`,
+    ...overrides,
+  };
+}
+
+function createOctokit(comments, threads = []) {
+  return {
+    rest: {
+      pulls: {
+        listReviewComments: jest.fn().mockResolvedValue({ data: comments }),
+        updateReviewComment: jest.fn().mockResolvedValue({}),
+        createReplyForReviewComment: jest.fn().mockResolvedValue({}),
+      },
+    },
+    paginate: jest.fn(async (method, params) => (await method(params)).data),
+    graphql: jest.fn(async (query) =>
+      query.includes("resolveReviewThread")
+        ? {}
+        : {
+            repository: {
+              pullRequest: {
+                reviewThreads: {
+                  pageInfo: { hasNextPage: false, endCursor: null },
+                  nodes: threads,
+                },
+              },
+            },
+          }
+    ),
+  };
+}
+
+function thread(id, commentId, isResolved = false) {
+  return { id, isResolved, comments: { nodes: [{ databaseId: commentId }] } };
+}
+
+beforeEach(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("FindingTracker", () => {
+  it("only loads root comments written by the bot", async () => {
+    const octokit = createOctokit([
+      reviewComment(1, "aa01"),
+      reviewComment(2, "aa02", { user: DEVELOPER }),
+      reviewComment(3, "aa03", { in_reply_to_id: 1 }),
+      reviewComment(4, "aa04", { user: { login: "other[bot]", type: "Bot" } }),
+    ]);
+
+    const tracker = await new FindingTracker(
+      octokit,
+      context,
+      1,
+      "en",
+      "github-actions[bot]"
+    ).load();
+
+    expect([...tracker.existing.keys()]).toEqual(["aa01"]);
+  });
+
+  it("accepts any bot account when the token login is unknown", async () => {
+    const octokit = createOctokit([
+      reviewComment(1, "aa01", { user: { login: "app[bot]", type: "Bot" } }),
+      reviewComment(2, "aa02", { user: DEVELOPER }),
+    ]);
+
+    const tracker = await new FindingTracker(octokit, context, 1, "en").load();
+
+    expect([...tracker.existing.keys()]).toEqual(["aa01"]);
+  });
+
+  it("skips unchanged findings and edits the changed ones", async () => {
+    const octokit = createOctokit([
+      reviewComment(1, "aa01"),
+      reviewComment(2, "aa02"),
+    ]);
+    const tracker = await new FindingTracker(octokit, context, 1, "en").load();
+
+    const pending = await tracker.sync([
+      { fingerprint: "aa01", body: reviewComment(1, "aa01").body },
+      { fingerprint: "aa02", body: "Finding 2, reworded" },
+      { fingerprint: "aa03", body: "New finding" },
+    ]);
+
+    expect(pending.map((comment) => comment.fingerprint)).toEqual(["aa03"]);
+    expect(octokit.rest.pulls.updateReviewComment).toHaveBeenCalledTimes(1);
+    expect(octokit.rest.pulls.updateReviewComment).toHaveBeenCalledWith(
+      expect.objectContaining({ comment_id: 2, body: "Finding 2, reworded" })
+    );
+  });
+
+  it("never edits a human comment that copies a marker", async () => {
+    const octokit = createOctokit([
+      reviewComment(2, "aa02", { user: DEVELOPER }),
+    ]);
+    const tracker = await new FindingTracker(octokit, context, 1, "en").load();
+
+    await tracker.sync([{ fingerprint: "aa02", body: "Finding 2, reworded" }]);
+
+    expect(octokit.rest.pulls.updateReviewComment).not.toHaveBeenCalled();
+  });
+
+  it("resolves the open threads of findings that no longer appear", async () => {
+    const octokit = createOctokit(
+      [
+        reviewComment(1, "aa01"),
+        reviewComment(2, "aa02", { line: 9 }),
+        reviewComment(3, "aa03", { path: "b.js" }),
+        reviewComment(4, "aa04", { user: DEVELOPER }),
+      ],
+      [thread("T1", 1), thread("T2", 2), thread("T4", 4)]
+    );
+    const tracker = await new FindingTracker(octokit, context, 1, "en").load();
+
+    // Solo se revisaron las líneas 3 y 4 de a.js
+    await tracker.resolveStale(new Map([["a.js", new Set([3, 4])]]), "abc1234");
+
+    const replies = octokit.rest.pulls.createReplyForReviewComment.mock.calls;
+    expect(replies.map(([params]) => params.comment_id)).toEqual([1]);
+    expect(replies[0][0].body).toMatch(/Resolved in abc1234/);
+    expect(octokit.graphql).toHaveBeenCalledWith(
+      expect.stringContaining("resolveReviewThread"),
+      { threadId: "T1" }
+    );
+  });
+});
@@ -0,0 +1,262 @@
+const crypto = require("crypto");
+const Ajv = require("ajv");
+const findingSchema = require("../schemas/finding.schema.json");
+const { normalizeIssueLocation } = require("./utils");
+const {
+  severityLevel,
+  normalizeSeverity,
+  normalizeCategory,
+} = require("./taxonomy");
+
+const ajv = new Ajv({ allErrors: true });
+const validateFinding = ajv.compile(findingSchema);
+
+// El esquema de un hallazgo dentro del de la herramienta, sin las claves de
+// documento raíz ($schema, $id) que algunos proveedores rechazan
+const { $schema, $id, ...findingItemSchema } = findingSchema;
+
+// Herramienta que se pide al modelo para devolver los hallazgos estructurados
+const REPORT_FINDINGS_TOOL = {
+  name: "report_findings",
+  description:
+    "Report every issue found in the reviewed code. Call it with an empty list when there are no issues.",
+  inputSchema: {
+    type: "object",
+    properties: {
+      findings: { type: "array", items: findingItemSchema },
+    },
+    required: ["findings"],
+  },
+};
+
+// Busca en el texto del modelo el primer array u objeto JSON bien formado,
+// respetando strings y escapes en lugar de usar una regex codiciosa
+function extractJson(text) {
+  if (!text) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    // El texto tiene más cosas además del JSON
+  }
+
+  for (let start = 0; start < text.length; start++) {
+    if (text[start] !== "[" && text[start] !== "{") {
+      continue;
+    }
+
+    const end = findClosingBracket(text, start);
+    if (end === -1) {
+      continue;
+    }
+
+    try {
+      return JSON.parse(text.slice(start, end + 1));
+    } catch (e) {
+      // Seguir buscando a partir del siguiente carácter
+    }
+  }
+
+  return null;
+}
+
+function findClosingBracket(text, start) {
+  const stack = [];
+  let inString = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (char === "\\") {
+        i++;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === "[" || char === "{") {
+      stack.push(char === "[" ? "]" : "}");
+    } else if (char === "]" || char === "}") {
+      if (stack.pop() !== char) {
+        return -1;
+      }
+      if (stack.length === 0) {
+        return i;
+      }
+    }
+  }
+
+  return -1;
+}
+
+// Valida los hallazgos contra el esquema publicado. Devuelve los válidos ya
+// normalizados y los rechazados con los motivos
+function validateFindings(items) {
+  const valid = [];
+  const rejected = [];
+
+  items.forEach((item, index) => {
+    // Aceptar los nombres de campo antiguos y las severidades y categorías
+    // en otros idiomas o mayúsculas ("ALTA", "High", "Seguridad")
+    const finding =
+      item && typeof item === "object"
+        ? {
+            ...item,
+            severity: normalizeSeverity(item.severity) || item.severity,
+            category: normalizeCategory(item.category) || item.category,
+            description: item.description || item.issue,
+            solution: item.solution ?? item.code,
+          }
+        : item;
+
+    if (validateFinding(finding)) {
+      valid.push(normalizeIssueLocation(finding));
+    } else {
+      rejected.push({
+        index,
+        reasons: validateFinding.errors.map(
+          (error) => `${error.instancePath || "finding"} ${error.message}`
+        ),
+      });
+    }
+  });
+
+  return { valid, rejected };
+}
+
+// Interpreta la salida del modelo (entrada de la herramienta o texto) y
+// valida los hallazgos. `error` indica que no se encontró ninguna lista
+function parseFindingsOutput({ toolInput, text }) {
+  let output = toolInput || extractJson(text);
+
+  if (output && !Array.isArray(output) && Array.isArray(output.findings)) {
+    output = output.findings;
+  }
+
+  if (!Array.isArray(output)) {
+    return {
+      findings: [],
+      rejected: [],
+      error: "the response does not contain a list of findings",
+    };
+  }
+
+  const { valid, rejected } = validateFindings(output);
+  return { findings: valid, rejected, error: null };
+}
+
+// Mensaje de "reparación" con los errores de la primera respuesta
+function buildRepairMessage(parsed) {
+  const problems = parsed.error
+    ? [parsed.error]
+    : parsed.rejected.map(
+        (rejection) =>
+          `finding #${rejection.index}: ${rejection.reasons.join("; ")}`
+      );
+
+  return {
+    role: "user",
+    content: [
+      {
+        type: "text",
+        text: `Your previous answer did not match the required findings schema:
+${problems.map((problem) => `- ${problem}`).join("\n")}
+
+Call the ${
+          REPORT_FINDINGS_TOOL.name
+        } tool again with the complete, corrected list of findings. If tools are not available, answer only with the JSON array.`,
+      },
+    ],
+  };
+}
+
+// Huella estable de un hallazgo: ruta, código afectado normalizado (sin
+// espacios ni números de línea) y categoría. Sobrevive a cambios de línea y
+// a redacciones distintas de la descripción
+function computeFingerprint(path, snippetLines, category) {
+  const snippet = snippetLines
+    .map((line) => line.trim().replace(/\s+/g, " "))
+    .filter(Boolean)
+    .join("\n");
+  return crypto
+    .createHash("sha1")
+    .update(`${path}\0${snippet}\0${category || ""}`)
+    .digest("hex")
+    .slice(0, 16);
+}
+
+// Prioridad de un hallazgo al unir duplicados: la severidad y, a igualdad,
+// la confianza
+function rankFinding(finding) {
+  return severityLevel(finding.severity) * 2 + (finding.confidence ?? 0.5);
+}
+
+function overlaps(a, b) {
+  return (
+    a.side === b.side &&
+    (a.startLine || a.line) <= b.line &&
+    (b.startLine || b.line) <= a.line
+  );
+}
+
+// Une los hallazgos repetidos al revisar fragmentos que se solapan: mismo
+// lado, misma categoría y rangos de líneas que se cruzan. Se conserva el de
+// mayor severidad y, a igualdad, el de mayor confianza
+function mergeFindings(findings) {
+  const merged = [];
+  for (const finding of findings) {
+    const index = merged.findIndex(
+      (other) => other.category === finding.category && overlaps(other, finding)
+    );
+    if (index === -1) {
+      merged.push(finding);
+    } else if (rankFinding(finding) > rankFinding(merged[index])) {
+      merged[index] = finding;
+    }
+  }
+  return merged;
+}
+
+// Agrega los resultados de las pasadas de revisión ([{ pass, findings }]).
+// Los hallazgos de pasadas distintas que se solapan en las mismas líneas se
+// unen aunque su categoría difiera: se conserva el de mayor severidad con
+// su pasada en `pass`, y `passes` lista todas las que lo reportaron
+function aggregatePasses(results) {
+  const merged = [];
+  for (const { pass, findings } of results) {
+    for (const finding of findings) {
+      const index = merged.findIndex(
+        (other) => !other.passes.includes(pass) && overlaps(other, finding)
+      );
+      if (index === -1) {
+        merged.push({ ...finding, pass, passes: [pass] });
+        continue;
+      }
+      const other = merged[index];
+      const passes = [...other.passes, pass];
+      merged[index] =
+        rankFinding(finding) > rankFinding(other)
+          ? { ...finding, pass, passes }
+          : { ...other, passes };
+    }
+  }
+  return merged;
+}
+
+module.exports = {
+  REPORT_FINDINGS_TOOL,
+  findingSchema,
+  extractJson,
+  validateFindings,
+  parseFindingsOutput,
+  buildRepairMessage,
+  computeFingerprint,
+  mergeFindings,
+  aggregatePasses,
+};
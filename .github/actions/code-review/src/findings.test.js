@@ -0,0 +1,132 @@
+const {
+  REPORT_FINDINGS_TOOL,
+  extractJson,
+  parseFindingsOutput,
+  buildRepairMessage,
+} = require("./findings");
+
+function finding(overrides = {}) {
+  return {
+    severity: "high",
+    category: "security",
+    line: 4,
+    description: "SQL built by concatenation",
+    solution: "db.query(sql, [id]);",
+    ...overrides,
+  };
+}
+
+describe("extractJson", () => {
+  it("finds the JSON between other text", () => {
+    expect(
+      extractJson('Here you go:\n```json\n[{"a": "x ] y"}]\n```\nDone.')
+    ).toEqual([{ a: "x ] y" }]);
+  });
+
+  it("skips brackets that do not start valid JSON", () => {
+    expect(extractJson('See [1] and {"findings": []}')).toEqual([1]);
+    expect(extractJson('See [nope] and {"findings": []}')).toEqual({
+      findings: [],
+    });
+  });
+
+  it("returns null when there is no JSON", () => {
+    expect(extractJson("No issues found.")).toBeNull();
+    expect(extractJson("")).toBeNull();
+  });
+});
+
+describe("parseFindingsOutput", () => {
+  it("validates the tool input", () => {
+    const parsed = parseFindingsOutput({
+      toolInput: { findings: [finding()] },
+    });
+
+    expect(parsed).toEqual({
+      findings: [{ ...finding(), side: "RIGHT" }],
+      rejected: [],
+      error: null,
+    });
+  });
+
+  it("reads a plain array from the text answer", () => {
+    const parsed = parseFindingsOutput({
+      text: `Findings:\n${JSON.stringify([finding({ line: [2, 4] })])}`,
+    });
+
+    expect(parsed.findings).toEqual([
+      { ...finding(), startLine: 2, line: 4, side: "RIGHT" },
+    ]);
+  });
+
+  it("accepts the old field names and translated values", () => {
+    const parsed = parseFindingsOutput({
+      toolInput: [
+        {
+          severity: "ALTA",
+          category: "Seguridad",
+          line: 4,
+          issue: "SQL concatenado",
+          code: "db.query(sql, [id]);",
+        },
+      ],
+    });
+
+    expect(parsed.findings[0]).toMatchObject({
+      severity: "high",
+      category: "security",
+      description: "SQL concatenado",
+      solution: "db.query(sql, [id]);",
+    });
+  });
+
+  it("keeps the valid findings and reports the rejected ones", () => {
+    const parsed = parseFindingsOutput({
+      toolInput: {
+        findings: [
+          finding(),
+          finding({ severity: "urgent" }),
+          finding({ description: undefined }),
+        ],
+      },
+    });
+
+    expect(parsed.findings).toHaveLength(1);
+    expect(parsed.rejected.map((rejection) => rejection.index)).toEqual([1, 2]);
+    expect(parsed.rejected[0].reasons.join()).toMatch(/\/severity/);
+    expect(parsed.rejected[1].reasons.join()).toMatch(/description/);
+  });
+
+  it("reports an error when there is no list of findings", () => {
+    expect(parseFindingsOutput({ text: "Looks good to me." })).toEqual({
+      findings: [],
+      rejected: [],
+      error: "the response does not contain a list of findings",
+    });
+  });
+});
+
+describe("buildRepairMessage", () => {
+  it("lists the problems of the previous answer", () => {
+    const parsed = parseFindingsOutput({
+      toolInput: [finding({ line: 0 })],
+    });
+    const message = buildRepairMessage(parsed);
+
+    expect(message.role).toBe("user");
+    expect(message.content[0].text).toMatch(/- finding #0: \/line/);
+    expect(message.content[0].text).toMatch(/report_findings/);
+  });
+});
+
+describe("REPORT_FINDINGS_TOOL", () => {
+  it("embeds the finding schema without its root keywords", () => {
+    const items = REPORT_FINDINGS_TOOL.inputSchema.properties.findings.items;
+
+    expect(items).not.toHaveProperty("$schema");
+    expect(items).not.toHaveProperty("$id");
+    expect(items.required).toEqual(
+      expect.arrayContaining(["severity", "line"])
+    );
+  });
+});
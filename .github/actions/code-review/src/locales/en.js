@@ -0,0 +1,194 @@
+// Textos en inglés de los comentarios, el resumen y los prompts
+const plural = (count, one, other) => `${count} ${count === 1 ? one : other}`;
+
+module.exports = {
+  language: "English",
+  severities: {
+    critical: "Critical",
+    high: "High",
+    medium: "Medium",
+    low: "Low",
+    info: "Info",
+  },
+  lineRange: (startLine, line) =>
+    startLine ? `lines ${startLine}-${line}` : `line ${line}`,
+  comment: {
+    title: "🔍 Code Review Findings",
+    detected: (severity) => `${severity.toUpperCase()} Issue Detected`,
+    issue: "Issue",
+    recommendation: "Recommendation",
+    solution: "Suggested Solution:",
+    quickFix:
+      "💡 **Quick Fix:** Use **Commit suggestion** or reply with `/apply-fix` to automatically apply this change.",
+    references: "📚 **References:**",
+    defaultReferences: ["Best development practices", "Clean code principles"],
+    footer: "_This review was generated by AI Code Review Assistant_",
+    reportedBy: (passes) => `🔎 Reported by: ${passes.join(", ")}`,
+  },
+  passes: {
+    general: "general review",
+    security: "security review",
+    performance: "performance review",
+    correctness: "correctness review",
+    maintainability: "maintainability review",
+    tests: "test coverage check",
+    secrets: "secret scan",
+  },
+  review: {
+    newFindings: (count) =>
+      `🔍 ${plural(
+        count,
+        "new finding",
+        "new findings"
+      )} in this review. See the **AI Code Review Summary** comment for the full report.`,
+    seeSummary:
+      "See the **AI Code Review Summary** comment for the full report.",
+    dismissed: "No critical or high severity findings remain open.",
+  },
+  summary: {
+    title: "## AI Code Review Summary",
+    openIssues: (issues, files, sha) =>
+      `🔍 **${plural(issues, "open issue", "open issues")}** in ${plural(
+        files,
+        "file",
+        "files"
+      )} as of ${sha}.`,
+    noIssues: (sha) => `✅ No open issues as of ${sha}.`,
+    attention: (count) =>
+      `⚠️ **Attention Required**: This PR contains ${count} critical or high severity ${
+        count === 1 ? "issue" : "issues"
+      } that should be addressed before merging.`,
+    severity: "Severity",
+    count: "Count",
+    findingsByFile: "### Findings by file",
+    fileIssues: (count) => plural(count, "issue", "issues"),
+    notReviewed: "### Files not reviewed in the last run",
+    skipReasons: {
+      excluded: "excluded by `exclude-patterns`",
+      "max-files": "over the `max-files` limit",
+      error: "analysis failed",
+      "time-budget": "the `time-budget` ran out before its review",
+      budget: "the `max-cost-per-run` or `max-tokens-per-run` budget was spent",
+      ignored: "marked with `ai-review-ignore-file`",
+      removed: "removed in this pull request",
+      renamed: "renamed without changes",
+      binary: "binary or empty file, no textual diff",
+    },
+    deprioritized: (count) =>
+      `Deprioritized files (${count}) over the \`max-files\` limit`,
+    deprioritizedNote:
+      "These files ranked lowest by risk score (lines changed, security-sensitive paths, language and recent churn) and were not reviewed. Review them with `/review <paths>`.",
+    riskScore: (score) => `risk score ${score}`,
+    dismissed: (count) => `Dismissed findings (${count})`,
+    dismissal: (kind, by) =>
+      `${
+        kind === "false-positive" ? "marked as a false positive" : "dismissed"
+      } by @${by}`,
+    history: (count) => `Review history (${plural(count, "run", "runs")})`,
+    columns: {
+      commit: "Commit",
+      date: "Date",
+      type: "Type",
+      files: "Files reviewed",
+      tokens: "Tokens",
+      cost: "Cost",
+      model: "Model",
+    },
+    incremental: "incremental",
+    full: "full",
+    footer: (provider, model) =>
+      `This analysis was performed using ${provider} and the ${model} model.`,
+    usage: (input, output, cost) =>
+      `The last run used ${input} input and ${output} output tokens (estimated cost: ${cost}).`,
+  },
+  replies: {
+    permissionDenied: (user, command, permission) =>
+      `⛔ @${user}, \`/${command}\` requires ${permission} access to this repository.`,
+    commandFailed: (command, message) =>
+      `❌ \`/${command}\` failed: ${message}`,
+    usage: {
+      ai: "ℹ️ Usage: `/ai <question>`.",
+      "ai-review": "ℹ️ Usage: `/ai-review baseline`.",
+      explain:
+        "ℹ️ Usage: `/explain <path>:<line>` or `/explain <path>:<start>-<end>`. In a review comment, `/explain` or `/explain <start>-<end>` uses the commented file.",
+    },
+    noMatchingFiles: (paths) =>
+      `ℹ️ No files changed in this pull request match ${paths}.`,
+    emptyDescription:
+      "⚠️ The model returned an empty description; the pull request was not updated.",
+    neverSend: (path) =>
+      `⛔ \`${path}\` matches \`never-send-patterns\` and is never sent to the model.`,
+    fileNotLoaded: (path, sha) => `⚠️ Could not load \`${path}\` at ${sha}.`,
+    fileTooShort: (path, lines) =>
+      `⚠️ \`${path}\` has only ${plural(lines, "line", "lines")}.`,
+    noExplanation: "I could not explain this code.",
+    noAnswer: "I don't have an answer to that.",
+    answerFailed: (message) => `❌ Could not answer: ${message}`,
+    resolved: (sha) =>
+      `✅ Resolved in ${sha}: this finding no longer appears in the latest review.`,
+    dismiss: {
+      replyOnly: (command) =>
+        `ℹ️ \`/${command}\` must be posted as a reply to one of the review comments with a finding.`,
+      notFinding: (command) =>
+        `⚠️ Not dismissed: \`/${command}\` only applies to AI code review findings.`,
+      reasonRequired:
+        "⚠️ Not dismissed: add a reason, e.g. `/dismiss <reason>`.",
+      noSummary:
+        "⚠️ Not dismissed: the review summary of this pull request was not found.",
+      done: (kind) =>
+        kind === "false-positive"
+          ? "🙈 Marked as a false positive. This finding will not be reported again in this pull request."
+          : "🙈 Dismissed. This finding will not be reported again in this pull request.",
+      failed: (message) => `❌ Not dismissed: ${message}`,
+    },
+    baseline: {
+      fork: "⚠️ Baseline not updated: the pull request comes from a fork and the bot cannot push to it.",
+      empty: "ℹ️ There are no open findings to add to the baseline.",
+      added: (count, path, sha) =>
+        `✅ Added ${plural(
+          count,
+          "finding",
+          "findings"
+        )} to \`${path}\` in ${sha}. They will not be reported again.`,
+    },
+    fix: {
+      replyOnly:
+        "ℹ️ `/apply-fix` must be posted as a reply to one of the review comments that contains a suggested fix.",
+      noFix:
+        "⚠️ Fix not applied: this comment does not contain an automatic fix.",
+      untrusted:
+        "⚠️ Fix not applied: only the fixes suggested by the AI review can be applied.",
+      fork: "⚠️ Fix not applied: the pull request comes from a fork and the bot cannot push to it. Use **Commit suggestion** instead.",
+      changed: (path, range) =>
+        `⚠️ Fix not applied: \`${path}\` ${range} changed since this suggestion was made. Re-run the review to get an updated fix.`,
+      applied: (sha) => `✅ Fix applied in ${sha}.`,
+      failed: (message) => `❌ Fix not applied: ${message}`,
+    },
+  },
+  tests: {
+    finding: (file) =>
+      `\`${file}\` changes without matching test changes in this pull request`,
+    explanation:
+      "No test file for this module was added or modified in the pull request. Add or update tests that cover the new behavior, or explain in the pull request why they are not needed.",
+  },
+  secrets: {
+    rules: {
+      "aws-access-key": "AWS access key",
+      "github-token": "GitHub token",
+      "slack-token": "Slack token",
+      "stripe-key": "Stripe live key",
+      "google-api-key": "Google API key",
+      "llm-api-key": "LLM provider API key",
+      jwt: "JSON Web Token",
+      "connection-string": "password in a connection string",
+      "generic-secret": "hardcoded secret",
+      "private-key": "private key",
+    },
+    finding: (secret, masked) =>
+      `Possible ${secret} committed to the repository${
+        masked ? ` (\`${masked}\`)` : ""
+      }`,
+    explanation:
+      "Anyone with read access to the repository or its git history can use this value. Revoke or rotate it, remove it from the code and load it from a secret store or an environment variable.",
+  },
+};
@@ -0,0 +1,201 @@
+// Textos en español de los comentarios, el resumen y los prompts
+const plural = (count, one, other) => `${count} ${count === 1 ? one : other}`;
+
+module.exports = {
+  language: "Spanish",
+  severities: {
+    critical: "Crítica",
+    high: "Alta",
+    medium: "Media",
+    low: "Baja",
+    info: "Info",
+  },
+  lineRange: (startLine, line) =>
+    startLine ? `líneas ${startLine}-${line}` : `línea ${line}`,
+  comment: {
+    title: "🔍 Hallazgos de la revisión de código",
+    detected: (severity) =>
+      `Problema de severidad ${severity.toUpperCase()} detectado`,
+    issue: "Problema",
+    recommendation: "Recomendación",
+    solution: "Solución sugerida:",
+    quickFix:
+      "💡 **Corrección rápida:** usa **Commit suggestion** o responde con `/apply-fix` para aplicar este cambio automáticamente.",
+    references: "📚 **Referencias:**",
+    defaultReferences: [
+      "Buenas prácticas de desarrollo",
+      "Principios de código limpio",
+    ],
+    footer: "_Esta revisión fue generada por AI Code Review Assistant_",
+    reportedBy: (passes) => `🔎 Detectado por: ${passes.join(", ")}`,
+  },
+  passes: {
+    general: "revisión general",
+    security: "revisión de seguridad",
+    performance: "revisión de rendimiento",
+    correctness: "revisión de corrección",
+    maintainability: "revisión de mantenibilidad",
+    tests: "comprobación de tests",
+    secrets: "búsqueda de secretos",
+  },
+  review: {
+    newFindings: (count) =>
+      `🔍 ${plural(
+        count,
+        "hallazgo nuevo",
+        "hallazgos nuevos"
+      )} en esta revisión. Consulta el comentario **Resumen de AI Code Review** para ver el informe completo.`,
+    seeSummary:
+      "Consulta el comentario **Resumen de AI Code Review** para ver el informe completo.",
+    dismissed: "Ya no quedan hallazgos de severidad crítica o alta abiertos.",
+  },
+  summary: {
+    title: "## Resumen de AI Code Review",
+    openIssues: (issues, files, sha) =>
+      `🔍 **${plural(
+        issues,
+        "problema abierto",
+        "problemas abiertos"
+      )}** en ${plural(files, "archivo", "archivos")} a fecha de ${sha}.`,
+    noIssues: (sha) => `✅ No hay problemas abiertos a fecha de ${sha}.`,
+    attention: (count) =>
+      `⚠️ **Atención**: este PR tiene ${plural(
+        count,
+        "problema",
+        "problemas"
+      )} de severidad crítica o alta que conviene resolver antes de fusionarlo.`,
+    severity: "Severidad",
+    count: "Cantidad",
+    findingsByFile: "### Hallazgos por archivo",
+    fileIssues: (count) => plural(count, "problema", "problemas"),
+    notReviewed: "### Archivos no revisados en la última ejecución",
+    skipReasons: {
+      excluded: "excluido por `exclude-patterns`",
+      "max-files": "supera el límite de `max-files`",
+      error: "falló el análisis",
+      "time-budget": "se agotó el `time-budget` antes de revisarlo",
+      budget:
+        "se agotó el presupuesto de `max-cost-per-run` o `max-tokens-per-run`",
+      ignored: "marcado con `ai-review-ignore-file`",
+      removed: "eliminado en este pull request",
+      renamed: "renombrado sin cambios",
+      binary: "archivo binario o vacío, sin diff de texto",
+    },
+    deprioritized: (count) =>
+      `Archivos despriorizados (${count}) por encima del límite de \`max-files\``,
+    deprioritizedNote:
+      "Estos archivos obtuvieron la menor puntuación de riesgo (líneas cambiadas, rutas sensibles para la seguridad, lenguaje y frecuencia de cambios reciente) y no se revisaron. Se pueden revisar con `/review <rutas>`.",
+    riskScore: (score) => `riesgo ${score}`,
+    dismissed: (count) => `Hallazgos descartados (${count})`,
+    dismissal: (kind, by) =>
+      `${
+        kind === "false-positive" ? "marcado como falso positivo" : "descartado"
+      } por @${by}`,
+    history: (count) =>
+      `Historial de revisiones (${plural(count, "ejecución", "ejecuciones")})`,
+    columns: {
+      commit: "Commit",
+      date: "Fecha",
+      type: "Tipo",
+      files: "Archivos revisados",
+      tokens: "Tokens",
+      cost: "Coste",
+      model: "Modelo",
+    },
+    incremental: "incremental",
+    full: "completa",
+    footer: (provider, model) =>
+      `Este análisis se realizó con ${provider} y el modelo ${model}.`,
+    usage: (input, output, cost) =>
+      `La última ejecución usó ${input} tokens de entrada y ${output} de salida (coste estimado: ${cost}).`,
+  },
+  replies: {
+    permissionDenied: (user, command, permission) =>
+      `⛔ @${user}, \`/${command}\` requiere acceso ${permission} a este repositorio.`,
+    commandFailed: (command, message) => `❌ \`/${command}\` falló: ${message}`,
+    usage: {
+      ai: "ℹ️ Uso: `/ai <pregunta>`.",
+      "ai-review": "ℹ️ Uso: `/ai-review baseline`.",
+      explain:
+        "ℹ️ Uso: `/explain <ruta>:<línea>` o `/explain <ruta>:<inicio>-<fin>`. En un comentario de revisión, `/explain` o `/explain <inicio>-<fin>` usa el archivo comentado.",
+    },
+    noMatchingFiles: (paths) =>
+      `ℹ️ Ningún archivo cambiado en este pull request coincide con ${paths}.`,
+    emptyDescription:
+      "⚠️ El modelo devolvió una descripción vacía; el pull request no se actualizó.",
+    neverSend: (path) =>
+      `⛔ \`${path}\` coincide con \`never-send-patterns\` y nunca se envía al modelo.`,
+    fileNotLoaded: (path, sha) => `⚠️ No se pudo cargar \`${path}\` en ${sha}.`,
+    fileTooShort: (path, lines) =>
+      `⚠️ \`${path}\` solo tiene ${plural(lines, "línea", "líneas")}.`,
+    noExplanation: "No he podido explicar este código.",
+    noAnswer: "No tengo una respuesta para eso.",
+    answerFailed: (message) => `❌ No se pudo responder: ${message}`,
+    resolved: (sha) =>
+      `✅ Resuelto en ${sha}: este hallazgo ya no aparece en la última revisión.`,
+    dismiss: {
+      replyOnly: (command) =>
+        `ℹ️ \`/${command}\` debe publicarse como respuesta a uno de los comentarios de revisión con un hallazgo.`,
+      notFinding: (command) =>
+        `⚠️ No descartado: \`/${command}\` solo se aplica a los hallazgos de AI Code Review.`,
+      reasonRequired:
+        "⚠️ No descartado: añade un motivo, por ejemplo `/dismiss <motivo>`.",
+      noSummary:
+        "⚠️ No descartado: no se encontró el resumen de la revisión de este pull request.",
+      done: (kind) =>
+        kind === "false-positive"
+          ? "🙈 Marcado como falso positivo. Este hallazgo no se volverá a reportar en este pull request."
+          : "🙈 Descartado. Este hallazgo no se volverá a reportar en este pull request.",
+      failed: (message) => `❌ No descartado: ${message}`,
+    },
+    baseline: {
+      fork: "⚠️ Línea base no actualizada: el pull request viene de un fork y el bot no puede hacer push en él.",
+      empty: "ℹ️ No hay hallazgos abiertos que añadir a la línea base.",
+      added: (count, path, sha) =>
+        `✅ ${plural(
+          count,
+          "hallazgo añadido",
+          "hallazgos añadidos"
+        )} a \`${path}\` en ${sha}. No se volverán a reportar.`,
+    },
+    fix: {
+      replyOnly:
+        "ℹ️ `/apply-fix` debe publicarse como respuesta a uno de los comentarios de revisión que contienen una corrección sugerida.",
+      noFix:
+        "⚠️ Corrección no aplicada: este comentario no contiene una corrección automática.",
+      untrusted:
+        "⚠️ Corrección no aplicada: solo se pueden aplicar las correcciones sugeridas por la revisión con IA.",
+      fork: "⚠️ Corrección no aplicada: el pull request viene de un fork y el bot no puede hacer push en él. Usa **Commit suggestion** en su lugar.",
+      changed: (path, range) =>
+        `⚠️ Corrección no aplicada: \`${path}\` (${range}) cambió desde que se hizo esta sugerencia. Vuelve a ejecutar la revisión para obtener una corrección actualizada.`,
+      applied: (sha) => `✅ Corrección aplicada en ${sha}.`,
+      failed: (message) => `❌ Corrección no aplicada: ${message}`,
+    },
+  },
+  tests: {
+    finding: (file) =>
+      `\`${file}\` cambia sin cambios en sus tests en este pull request`,
+    explanation:
+      "El pull request no añade ni modifica ningún archivo de tests de este módulo. Añade o actualiza tests que cubran el nuevo comportamiento, o explica en el pull request por qué no hacen falta.",
+  },
+  secrets: {
+    rules: {
+      "aws-access-key": "clave de acceso de AWS",
+      "github-token": "token de GitHub",
+      "slack-token": "token de Slack",
+      "stripe-key": "clave live de Stripe",
+      "google-api-key": "API key de Google",
+      "llm-api-key": "API key de un proveedor de LLM",
+      jwt: "JSON Web Token",
+      "connection-string": "contraseña en una cadena de conexión",
+      "generic-secret": "secreto escrito directamente",
+      "private-key": "clave privada",
+    },
+    finding: (secret, masked) =>
+      `Posible ${secret} en el código del repositorio${
+        masked ? ` (\`${masked}\`)` : ""
+      }`,
+    explanation:
+      "Cualquiera con acceso de lectura al repositorio o a su historial de git puede usar este valor. Revócalo o rótalo, quítalo del código y cárgalo desde un gestor de secretos o una variable de entorno.",
+  },
+};
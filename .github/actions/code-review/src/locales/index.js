@@ -0,0 +1,13 @@
+const LOCALES = {
+  en: require("./en"),
+  es: require("./es"),
+};
+
+const DEFAULT_LANGUAGE = "en";
+
+// Textos del idioma de `comment-language`; inglés si no se indica
+function getLocale(language) {
+  return LOCALES[language || DEFAULT_LANGUAGE];
+}
+
+module.exports = { LOCALES, DEFAULT_LANGUAGE, getLocale };
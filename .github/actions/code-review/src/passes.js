@@ -0,0 +1,157 @@
+const path = require("path");
+const { CATEGORIES } = require("./taxonomy");
+const { isTestFile } = require("./risk");
+const { getLocale } = require("./locales");
+
+// Pasadas de revisión que se pueden activar con `passes`. Las que tienen
+// `role` se envían al modelo con esas instrucciones y solo reportan sus
+// `categories`; `tests` es determinista y no usa el modelo
+const REVIEW_PASSES = {
+  general: {
+    categories: CATEGORIES,
+    role: `You are an expert code reviewer with deep knowledge of best practices, security patterns, and clean code principles.
+
+## Your Role
+Analyze code files and provide detailed, constructive feedback on:
+1. Security vulnerabilities
+2. Performance issues
+3. Code style/quality concerns
+4. Logic errors
+5. Best practice violations`,
+  },
+  security: {
+    categories: ["security"],
+    role: `You are an application security reviewer.
+
+## Your Role
+Look only for vulnerabilities that an attacker could exploit or that expose sensitive data:
+1. Injection (SQL, NoSQL, shell commands, templates) and cross-site scripting
+2. Broken authentication, authorization and session handling
+3. Unsafe handling of secrets, tokens and personal data
+4. Path traversal, SSRF, open redirects and unsafe deserialization
+5. Weak or misused cryptography and insecure defaults`,
+  },
+  performance: {
+    categories: ["performance"],
+    role: `You are a performance reviewer.
+
+## Your Role
+Look only for code that wastes time, memory or I/O at realistic input sizes:
+1. Queries or requests inside loops (N+1) and missing batching
+2. Blocking or synchronous I/O on hot paths and in async code
+3. Algorithms with avoidable quadratic or worse complexity
+4. Unbounded caches, buffers and memory leaks
+5. Repeated work that could be cached or moved out of loops`,
+  },
+  correctness: {
+    categories: ["correctness"],
+    role: `You are a correctness reviewer.
+
+## Your Role
+Look only for bugs that make the code behave differently from its intent:
+1. Logic errors, wrong conditions and off-by-one mistakes
+2. Unhandled errors, promise rejections and missing awaits
+3. Null, undefined and empty values that are not handled
+4. Race conditions and shared mutable state
+5. Wrong use of APIs, types or return values`,
+  },
+  maintainability: {
+    categories: ["style", "maintainability"],
+    role: `You are a maintainability reviewer.
+
+## Your Role
+Look only for problems that make the code harder to read, change or reuse:
+1. Unclear naming and misleading comments
+2. Duplicated logic and dead code
+3. Functions that are too long or do too many things
+4. Style that is inconsistent with the rest of the file
+5. Missing or leaky abstractions`,
+  },
+  tests: {
+    categories: ["maintainability"],
+  },
+};
+
+const DEFAULT_PASSES = ["general"];
+
+// Extensiones de código que deberían venir con tests
+const SOURCE_EXTENSIONS = new Set([
+  "js",
+  "jsx",
+  "mjs",
+  "cjs",
+  "ts",
+  "tsx",
+  "py",
+  "rb",
+  "go",
+  "java",
+  "kt",
+  "cs",
+  "php",
+  "rs",
+  "swift",
+  "scala",
+]);
+
+// Configuraciones y declaraciones de tipos no llevan tests propios
+const NOT_TESTED = /\.(config|d)\.[^/]+$/;
+
+// Módulo que prueba un archivo de tests: el nombre sin extensión ni los
+// prefijos y sufijos habituales (x.test.js, test_x.py, x_test.go, XTest.java)
+function testSubject(filename) {
+  return path.posix
+    .basename(filename)
+    .split(".")[0]
+    .replace(/^test_/, "")
+    .replace(/[_-]test$/, "")
+    .replace(/Tests?$/, "")
+    .toLowerCase();
+}
+
+// Pasada `tests`: un archivo de código con líneas cambiadas y sin ningún
+// archivo de tests de su mismo módulo entre los archivos del PR. El hallazgo
+// se ubica en la primera línea cambiada
+function findMissingTests(file, diff, prFiles, language) {
+  const filename = file.filename;
+  const extension = filename.split(".").pop().toLowerCase();
+  if (
+    !SOURCE_EXTENSIONS.has(extension) ||
+    isTestFile(filename) ||
+    NOT_TESTED.test(filename)
+  ) {
+    return [];
+  }
+
+  const subject = path.posix.basename(filename).split(".")[0].toLowerCase();
+  if (
+    prFiles.some((other) => isTestFile(other) && testSubject(other) === subject)
+  ) {
+    return [];
+  }
+
+  const line = diff ? Math.min(...diff.changedLines) : 1;
+  if (!Number.isFinite(line)) {
+    return [];
+  }
+
+  const text = getLocale(language).tests;
+  return [
+    {
+      severity: "low",
+      category: "maintainability",
+      line,
+      side: "RIGHT",
+      confidence: 1,
+      description: text.finding(path.posix.basename(filename)),
+      explanation: text.explanation,
+      solution: "",
+    },
+  ];
+}
+
+module.exports = {
+  REVIEW_PASSES,
+  DEFAULT_PASSES,
+  findMissingTests,
+};
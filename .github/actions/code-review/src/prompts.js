@@ -0,0 +1,140 @@
+const fs = require("fs");
+const path = require("path");
+const { estimateTokens, CHARS_PER_TOKEN } = require("./tokens");
+const { resolveRepoPath } = require("./utils");
+
+// Plantillas incluidas en la acción: `system.md` (instrucciones, enviado en
+// el campo system del proveedor) y `review.md` (el archivo a revisar)
+const DEFAULT_PROMPTS_DIR = path.join(__dirname, "..", "prompts");
+
+// Directorio del repositorio cuyas plantillas reemplazan a las incluidas
+const DEFAULT_REPO_PROMPTS_DIR = ".github/ai-review/prompts";
+
+// Normas de la casa que se añaden al prompt si no se indica `guidelines`
+const GUIDELINES_FILES = [
+  "REVIEW_GUIDELINES.md",
+  ".github/REVIEW_GUIDELINES.md",
+  "docs/REVIEW_GUIDELINES.md",
+  "CONTRIBUTING.md",
+  ".github/CONTRIBUTING.md",
+  "docs/CONTRIBUTING.md",
+];
+
+// Tokens máximos de las normas; el resto se recorta
+const MAX_GUIDELINES_TOKENS = 2000;
+
+const LANGUAGE_NAMES = {
+  js: "JavaScript",
+  jsx: "JavaScript (JSX)",
+  mjs: "JavaScript",
+  cjs: "JavaScript",
+  ts: "TypeScript",
+  tsx: "TypeScript (TSX)",
+  py: "Python",
+  rb: "Ruby",
+  go: "Go",
+  java: "Java",
+  kt: "Kotlin",
+  cs: "C#",
+  php: "PHP",
+  rs: "Rust",
+  swift: "Swift",
+  scala: "Scala",
+  sh: "Shell",
+  sql: "SQL",
+  ejs: "EJS template",
+  hbs: "Handlebars template",
+  html: "HTML",
+  css: "CSS",
+  scss: "SCSS",
+  yml: "YAML",
+  yaml: "YAML",
+  json: "JSON",
+  md: "Markdown",
+};
+
+function languageName(extension) {
+  return LANGUAGE_NAMES[extension] || extension;
+}
+
+// Sustituye las variables `{{nombre}}` de una plantilla. Las desconocidas se
+// dejan tal cual para que se vean en el prompt, y los valores no se vuelven
+// a procesar (el código revisado puede contener `{{...}}`)
+function renderTemplate(template, variables) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    name in variables ? String(variables[name] ?? "") : match
+  );
+}
+
+// Lee las plantillas de prompt buscando primero en los directorios del
+// repositorio (los de las overrides y `prompts`) y después en las incluidas
+class PromptTemplates {
+  constructor(workspace) {
+    this.workspace = workspace;
+    this.cache = new Map();
+  }
+
+  read(fullPath) {
+    if (!this.cache.has(fullPath)) {
+      this.cache.set(
+        fullPath,
+        fs.existsSync(fullPath) ? fs.readFileSync(fullPath, "utf-8") : null
+      );
+    }
+    return this.cache.get(fullPath);
+  }
+
+  // `dirs` en orden de prioridad, relativos al repositorio
+  get(name, dirs = []) {
+    for (const dir of dirs) {
+      const template = this.read(
+        resolveRepoPath(this.workspace, path.join(dir, name))
+      );
+      if (template !== null) {
+        return template;
+      }
+    }
+    return this.read(path.join(DEFAULT_PROMPTS_DIR, name));
+  }
+
+  render(name, dirs, variables) {
+    return renderTemplate(this.get(name, dirs), variables).trim();
+  }
+}
+
+// Normas de revisión del repositorio: el archivo de `guidelines`, o el
+// primero de GUIDELINES_FILES que exista. "none" las desactiva
+function readGuidelines(guidelinesPath, workspace) {
+  if (guidelinesPath === "none") {
+    return null;
+  }
+
+  const candidates = guidelinesPath ? [guidelinesPath] : GUIDELINES_FILES;
+  const found = candidates.find((candidate) =>
+    fs.existsSync(resolveRepoPath(workspace, candidate))
+  );
+  if (!found) {
+    if (guidelinesPath) {
+      throw new Error(`Review guidelines file ${guidelinesPath} not found`);
+    }
+    return null;
+  }
+
+  let text = fs.readFileSync(resolveRepoPath(workspace, found), "utf-8").trim();
+  if (estimateTokens(text) > MAX_GUIDELINES_TOKENS) {
+    text = `${text.slice(
+      0,
+      MAX_GUIDELINES_TOKENS * CHARS_PER_TOKEN
+    )}\n\n(truncated)`;
+  }
+  return { path: found, text };
+}
+
+module.exports = {
+  DEFAULT_PROMPTS_DIR,
+  DEFAULT_REPO_PROMPTS_DIR,
+  languageName,
+  renderTemplate,
+  PromptTemplates,
+  readGuidelines,
+};
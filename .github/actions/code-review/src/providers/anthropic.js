@@ -0,0 +1,93 @@
+const { BaseProvider, postJson } = require("./base-provider");
+
+const DEFAULT_BASE_URL = "https://api.anthropic.com";
+
+// API directa de Anthropic (sin Bedrock)
+class AnthropicProvider extends BaseProvider {
+  constructor(config) {
+    super(config);
+    if (!config.apiKey) {
+      throw new Error('The "anthropic" provider requires an api-key');
+    }
+    this.baseUrl = (config.apiBaseUrl || DEFAULT_BASE_URL).replace(/\/$/, "");
+  }
+
+  get displayName() {
+    return "the Anthropic API";
+  }
+
+  buildRequest({ system, messages, tool, maxTokens, temperature }) {
+    return {
+      model: this.modelId,
+      max_tokens: maxTokens,
+      temperature,
+      ...(system ? { system } : {}),
+      ...(tool ? anthropicToolFields(tool) : {}),
+      messages,
+    };
+  }
+
+  async invoke(request) {
+    return postJson(
+      `${this.baseUrl}/v1/messages`,
+      {
+        "x-api-key": this.config.apiKey,
+        "anthropic-version": "2023-06-01",
+      },
+      request
+    );
+  }
+
+  extractText(response) {
+    return (response.content || [])
+      .filter((block) => block.type === "text")
+      .map((block) => block.text)
+      .join("");
+  }
+
+  extractToolInput(response, tool) {
+    return findAnthropicToolUse(response, tool);
+  }
+
+  extractUsage(response) {
+    return anthropicUsage(response);
+  }
+}
+
+// Campos de la Messages API para forzar una llamada a la herramienta.
+// Compartidos con BedrockAnthropicProvider, que usa el mismo formato
+function anthropicToolFields(tool) {
+  return {
+    tools: [
+      {
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.inputSchema,
+      },
+    ],
+    tool_choice: { type: "tool", name: tool.name },
+  };
+}
+
+function findAnthropicToolUse(response, tool) {
+  const block = (response.content || []).find(
+    (b) => b.type === "tool_use" && b.name === tool.name
+  );
+  return block ? block.input : null;
+}
+
+function anthropicUsage(response) {
+  return response.usage
+    ? {
+        inputTokens: response.usage.input_tokens || 0,
+        outputTokens: response.usage.output_tokens || 0,
+      }
+    : null;
+}
+
+module.exports = {
+  AnthropicProvider,
+  anthropicToolFields,
+  findAnthropicToolUse,
+  anthropicUsage,
+};
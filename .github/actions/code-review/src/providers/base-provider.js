@@ -0,0 +1,182 @@
+const { withRetry } = require("../retry");
+const { redactSecrets } = require("../secrets");
+
+// Interfaz común de los proveedores de LLM. Cada proveedor implementa:
+// - buildRequest({ system, messages, maxTokens, temperature }): arma la
+//   petición en el formato nativo del modelo
+// - invoke(request): envía la petición y devuelve la respuesta cruda
+// - extractText(response): extrae el texto generado de la respuesta
+// - extractToolInput(response): extrae la llamada a la herramienta pedida en
+//   `tool` ({ name, description, inputSchema }), o null si no la hubo
+// - extractUsage(response): tokens consumidos ({ inputTokens, outputTokens }),
+//   o null si el modelo no los informa
+//
+// Los mensajes siempre llegan en el formato interno del bot:
+// [{ role: "user" | "assistant", content: [{ type: "text", text }] }]
+class BaseProvider {
+  constructor(config) {
+    this.config = config;
+    this.modelId = config.modelId;
+  }
+
+  // Nombre legible del proveedor para los comentarios y logs
+  get displayName() {
+    return this.constructor.name;
+  }
+
+  buildRequest() {
+    throw new Error(`${this.constructor.name} must implement buildRequest()`);
+  }
+
+  async invoke() {
+    throw new Error(`${this.constructor.name} must implement invoke()`);
+  }
+
+  extractText() {
+    throw new Error(`${this.constructor.name} must implement extractText()`);
+  }
+
+  // Los proveedores sin soporte de herramientas ignoran `tool` y la salida
+  // estructurada se obtiene del texto
+  extractToolInput() {
+    return null;
+  }
+
+  extractUsage() {
+    return null;
+  }
+
+  async generate({
+    system,
+    messages,
+    tool = null,
+    maxTokens = 4096,
+    temperature = 0.2,
+  }) {
+    if (this.config.secretScan !== false) {
+      ({ system, messages } = this.redact(system, messages));
+    }
+    const request = this.buildRequest({
+      system,
+      messages,
+      tool,
+      maxTokens,
+      temperature,
+    });
+    // Los errores transitorios (throttling, 5xx) se reintentan con backoff
+    const response = await withRetry(() => this.invoke(request), {
+      label: `Request to ${this.displayName}`,
+    });
+    return {
+      text: this.extractText(response),
+      toolInput: tool ? this.extractToolInput(response, tool) : null,
+      usage: this.extractUsage(response),
+    };
+  }
+
+  // Oculta los secretos del prompt antes de enviarlo al modelo
+  redact(system, messages) {
+    let count = 0;
+    const clean = (text) => {
+      const result = redactSecrets(text);
+      count += result.count;
+      return result.text;
+    };
+    const redacted = {
+      system: system && clean(system),
+      messages: messages.map((message) => ({
+        ...message,
+        content: message.content.map((block) =>
+          block.type === "text" ? { ...block, text: clean(block.text) } : block
+        ),
+      })),
+    };
+    if (count > 0) {
+      console.log(`Redacted ${count} secrets from the prompt`);
+    }
+    return redacted;
+  }
+
+  async complete(options) {
+    const { text } = await this.generate({ ...options, tool: null });
+    return text;
+  }
+
+  // Une los bloques de texto de un mensaje en un único string
+  static joinText(content) {
+    return content
+      .filter((block) => block.type === "text")
+      .map((block) => block.text)
+      .join("\n");
+  }
+}
+
+// Uso de tokens en el formato de la Converse API y de Nova
+function converseUsage(response) {
+  return response.usage
+    ? {
+        inputTokens: response.usage.inputTokens || 0,
+        outputTokens: response.usage.outputTokens || 0,
+      }
+    : null;
+}
+
+// Busca el bloque toolUse de una respuesta de la Converse API o de Nova
+function findToolUse(response, tool) {
+  const content = (response.output && response.output.message.content) || [];
+  const block = content.find((b) => b.toolUse && b.toolUse.name === tool.name);
+  return block ? block.toolUse.input : null;
+}
+
+// Configuración de herramientas en el formato de Converse y Nova
+function buildToolConfig(tool, forceTool) {
+  return {
+    tools: [
+      {
+        toolSpec: {
+          name: tool.name,
+          description: tool.description,
+          inputSchema: { json: tool.inputSchema },
+        },
+      },
+    ],
+    ...(forceTool ? { toolChoice: { tool: { name: tool.name } } } : {}),
+  };
+}
+
+// Configuración del cliente de Bedrock. Los reintentos del SDK se desactivan
+// porque los gestiona generate() con la misma política que el resto
+function bedrockClientConfig(awsConfig) {
+  return { ...awsConfig, maxAttempts: 1 };
+}
+
+// Petición HTTP JSON usada por los proveedores que no tienen SDK
+async function postJson(url, headers, body) {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "content-type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    const error = new Error(
+      `Request to ${url} failed with status ${
+        response.status
+      }: ${await response.text()}`
+    );
+    error.status = response.status;
+    error.headers = Object.fromEntries(response.headers.entries());
+    throw error;
+  }
+
+  return response.json();
+}
+
+module.exports = {
+  BaseProvider,
+  postJson,
+  findToolUse,
+  buildToolConfig,
+  bedrockClientConfig,
+  converseUsage,
+};
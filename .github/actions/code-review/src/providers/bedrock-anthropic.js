@@ -0,0 +1,62 @@
+const {
+  BedrockRuntimeClient,
+  InvokeModelCommand,
+} = require("@aws-sdk/client-bedrock-runtime");
+const { BaseProvider, bedrockClientConfig } = require("./base-provider");
+const {
+  anthropicToolFields,
+  findAnthropicToolUse,
+  anthropicUsage,
+} = require("./anthropic");
+
+// Modelos Claude en Bedrock usando la Messages API de Anthropic
+class BedrockAnthropicProvider extends BaseProvider {
+  constructor(config) {
+    super(config);
+    this.client = new BedrockRuntimeClient(
+      bedrockClientConfig(config.awsConfig)
+    );
+  }
+
+  get displayName() {
+    return "AWS Bedrock";
+  }
+
+  buildRequest({ system, messages, tool, maxTokens, temperature }) {
+    return {
+      modelId: this.modelId,
+      contentType: "application/json",
+      accept: "application/json",
+      body: JSON.stringify({
+        anthropic_version: "bedrock-2023-05-31",
+        max_tokens: maxTokens,
+        temperature,
+        ...(system ? { system } : {}),
+        ...(tool ? anthropicToolFields(tool) : {}),
+        messages,
+      }),
+    };
+  }
+
+  async invoke(request) {
+    const response = await this.client.send(new InvokeModelCommand(request));
+    return JSON.parse(new TextDecoder().decode(response.body));
+  }
+
+  extractText(response) {
+    return (response.content || [])
+      .filter((block) => block.type === "text")
+      .map((block) => block.text)
+      .join("");
+  }
+
+  extractToolInput(response, tool) {
+    return findAnthropicToolUse(response, tool);
+  }
+
+  extractUsage(response) {
+    return anthropicUsage(response);
+  }
+}
+
+module.exports = { BedrockAnthropicProvider };
@@ -0,0 +1,59 @@
+const {
+  BedrockRuntimeClient,
+  ConverseCommand,
+} = require("@aws-sdk/client-bedrock-runtime");
+const {
+  BaseProvider,
+  bedrockClientConfig,
+  findToolUse,
+  converseUsage,
+  buildToolConfig,
+} = require("./base-provider");
+
+// Converse API de Bedrock: un formato único para cualquier modelo de Bedrock
+class BedrockConverseProvider extends BaseProvider {
+  constructor(config) {
+    super(config);
+    this.client = new BedrockRuntimeClient(
+      bedrockClientConfig(config.awsConfig)
+    );
+  }
+
+  get displayName() {
+    return "AWS Bedrock";
+  }
+
+  buildRequest({ system, messages, tool, maxTokens, temperature }) {
+    return {
+      modelId: this.modelId,
+      ...(system ? { system: [{ text: system }] } : {}),
+      messages: messages.map((message) => ({
+        role: message.role,
+        content: [{ text: BaseProvider.joinText(message.content) }],
+      })),
+      inferenceConfig: { maxTokens, temperature },
+      // No todos los modelos de Converse admiten toolChoice, así que solo se
+      // ofrece la herramienta y el prompt pide usarla
+      ...(tool ? { toolConfig: buildToolConfig(tool, false) } : {}),
+    };
+  }
+
+  async invoke(request) {
+    return this.client.send(new ConverseCommand(request));
+  }
+
+  extractText(response) {
+    const content = (response.output && response.output.message.content) || [];
+    return content.map((block) => block.text || "").join("");
+  }
+
+  extractToolInput(response, tool) {
+    return findToolUse(response, tool);
+  }
+
+  extractUsage(response) {
+    return converseUsage(response);
+  }
+}
+
+module.exports = { BedrockConverseProvider };
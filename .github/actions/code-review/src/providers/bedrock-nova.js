@@ -0,0 +1,100 @@
+const {
+  BedrockRuntimeClient,
+  InvokeModelCommand,
+} = require("@aws-sdk/client-bedrock-runtime");
+const {
+  BaseProvider,
+  bedrockClientConfig,
+  findToolUse,
+  converseUsage,
+  buildToolConfig,
+} = require("./base-provider");
+
+// Modelos de Amazon en Bedrock: Nova (messages-v1) y Titan Text
+class BedrockNovaProvider extends BaseProvider {
+  constructor(config) {
+    super(config);
+    this.client = new BedrockRuntimeClient(
+      bedrockClientConfig(config.awsConfig)
+    );
+  }
+
+  get displayName() {
+    return "AWS Bedrock";
+  }
+
+  get isTitan() {
+    return this.modelId.includes("titan");
+  }
+
+  buildRequest({ system, messages, tool, maxTokens, temperature }) {
+    let body;
+
+    if (this.isTitan) {
+      // Titan no tiene roles: se concatena todo en un único prompt
+      const conversation = messages
+        .map(
+          (message) =>
+            `${
+              message.role === "user" ? "User" : "Bot"
+            }: ${BaseProvider.joinText(message.content)}`
+        )
+        .join("\n\n");
+      body = {
+        inputText: `${system ? `${system}\n\n` : ""}${conversation}\n\nBot:`,
+        textGenerationConfig: { maxTokenCount: maxTokens, temperature },
+      };
+    } else {
+      body = {
+        schemaVersion: "messages-v1",
+        ...(system ? { system: [{ text: system }] } : {}),
+        messages: messages.map((message) => ({
+          role: message.role,
+          content: [{ text: BaseProvider.joinText(message.content) }],
+        })),
+        inferenceConfig: { maxTokens, temperature },
+        ...(tool ? { toolConfig: buildToolConfig(tool, true) } : {}),
+      };
+    }
+
+    return {
+      modelId: this.modelId,
+      contentType: "application/json",
+      accept: "application/json",
+      body: JSON.stringify(body),
+    };
+  }
+
+  async invoke(request) {
+    const response = await this.client.send(new InvokeModelCommand(request));
+    return JSON.parse(new TextDecoder().decode(response.body));
+  }
+
+  extractText(response) {
+    if (this.isTitan) {
+      return (response.results || []).map((r) => r.outputText).join("");
+    }
+    const content = (response.output && response.output.message.content) || [];
+    return content.map((block) => block.text || "").join("");
+  }
+
+  // Titan no admite herramientas
+  extractToolInput(response, tool) {
+    return this.isTitan ? null : findToolUse(response, tool);
+  }
+
+  extractUsage(response) {
+    if (this.isTitan) {
+      return {
+        inputTokens: response.inputTextTokenCount || 0,
+        outputTokens: (response.results || []).reduce(
+          (total, result) => total + (result.tokenCount || 0),
+          0
+        ),
+      };
+    }
+    return converseUsage(response);
+  }
+}
+
+module.exports = { BedrockNovaProvider };
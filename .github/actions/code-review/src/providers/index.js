@@ -0,0 +1,52 @@
+const { BedrockAnthropicProvider } = require("./bedrock-anthropic");
+const { BedrockNovaProvider } = require("./bedrock-nova");
+const { BedrockConverseProvider } = require("./bedrock-converse");
+const { AnthropicProvider } = require("./anthropic");
+const { OpenAICompatibleProvider } = require("./openai-compatible");
+const { MockProvider } = require("./mock");
+
+const PROVIDERS = {
+  "bedrock-anthropic": BedrockAnthropicProvider,
+  "bedrock-nova": BedrockNovaProvider,
+  "bedrock-converse": BedrockConverseProvider,
+  anthropic: AnthropicProvider,
+  openai: OpenAICompatibleProvider,
+};
+
+// Con "auto" se mantiene el comportamiento histórico: se elige el proveedor
+// de Bedrock a partir del id del modelo
+function resolveProviderName(provider, modelId) {
+  if (provider && provider !== "auto") {
+    return provider;
+  }
+  if (modelId.includes("anthropic")) {
+    return "bedrock-anthropic";
+  }
+  if (modelId.includes("amazon")) {
+    return "bedrock-nova";
+  }
+  return "bedrock-converse";
+}
+
+// El proveedor "mock" no llama a ningún modelo y solo existe con
+// `allowMockProvider`, que pone la CLI local: ni las entradas de la acción ni
+// el archivo del repositorio pueden cambiar la revisión por una respuesta fija
+function createProvider(config) {
+  const name = resolveProviderName(config.provider, config.modelId);
+  const Provider =
+    name === "mock" && config.allowMockProvider
+      ? MockProvider
+      : PROVIDERS[name];
+
+  if (!Provider) {
+    throw new Error(
+      `Unknown provider "${name}". Expected one of: auto, ${Object.keys(
+        PROVIDERS
+      ).join(", ")}`
+    );
+  }
+
+  return new Provider(config);
+}
+
+module.exports = { createProvider, resolveProviderName, PROVIDERS };
@@ -0,0 +1,20 @@
+const { createProvider } = require("./index");
+const { MockProvider } = require("./mock");
+
+describe("createProvider", () => {
+  it("does not offer the mock provider to the action", () => {
+    expect(() => createProvider({ provider: "mock", modelId: "mock" })).toThrow(
+      /Unknown provider "mock"\. Expected one of: auto, bedrock-anthropic/
+    );
+  });
+
+  it("creates the mock provider when the CLI allows it", () => {
+    expect(
+      createProvider({
+        provider: "mock",
+        modelId: "mock",
+        allowMockProvider: true,
+      })
+    ).toBeInstanceOf(MockProvider);
+  });
+});
@@ -0,0 +1,76 @@
+const fs = require("fs");
+const path = require("path");
+const { BaseProvider } = require("./base-provider");
+const { estimateTokens } = require("../tokens");
+
+// Proveedor sin red para la CLI local y para probar cambios en los prompts.
+// Responde siempre con el contenido de `mockResponse` (un archivo con la
+// respuesta del modelo, por defecto una lista vacía) y, si se indica
+// `mockPromptDir`, guarda allí cada prompt recibido
+class MockProvider extends BaseProvider {
+  constructor(config) {
+    super(config);
+    this.response = config.mockResponse
+      ? fs.readFileSync(config.mockResponse, "utf-8")
+      : "[]";
+    this.requests = [];
+  }
+
+  get displayName() {
+    return "the mock provider";
+  }
+
+  buildRequest({ system, messages }) {
+    return { system, messages };
+  }
+
+  async invoke(request) {
+    this.requests.push(request);
+
+    if (this.config.mockPromptDir) {
+      fs.mkdirSync(this.config.mockPromptDir, { recursive: true });
+      const text = [
+        request.system ? `# system\n\n${request.system}` : "",
+        ...request.messages.map(
+          (message) =>
+            `# ${message.role}\n\n${BaseProvider.joinText(message.content)}`
+        ),
+      ]
+        .filter(Boolean)
+        .join("\n\n");
+      fs.writeFileSync(
+        path.join(
+          this.config.mockPromptDir,
+          `prompt-${this.requests.length}.md`
+        ),
+        text
+      );
+    }
+
+    return {
+      text: this.response,
+      usage: {
+        inputTokens: estimateTokens(
+          [
+            request.system || "",
+            ...request.messages.map((message) =>
+              BaseProvider.joinText(message.content)
+            ),
+          ].join("\n")
+        ),
+        outputTokens: estimateTokens(this.response),
+      },
+    };
+  }
+
+  extractText(response) {
+    return response.text;
+  }
+
+  // Uso estimado, para probar los presupuestos sin llamar a un modelo
+  extractUsage(response) {
+    return response.usage;
+  }
+}
+
+module.exports = { MockProvider };
@@ -0,0 +1,75 @@
+const { BaseProvider, postJson } = require("./base-provider");
+
+const DEFAULT_BASE_URL = "https://api.openai.com/v1";
+
+// Cualquier endpoint compatible con /chat/completions de OpenAI: OpenAI,
+// Ollama (http://localhost:11434/v1), vLLM, LM Studio o un servidor de pruebas
+class OpenAICompatibleProvider extends BaseProvider {
+  constructor(config) {
+    super(config);
+    this.baseUrl = (config.apiBaseUrl || DEFAULT_BASE_URL).replace(/\/$/, "");
+  }
+
+  // Sin la URL: el nombre aparece en el resumen público del PR y la URL
+  // puede ser la de un gateway interno
+  get displayName() {
+    return "an OpenAI-compatible API";
+  }
+
+  buildRequest({ system, messages, tool, maxTokens, temperature }) {
+    return {
+      model: this.modelId,
+      max_tokens: maxTokens,
+      temperature,
+      messages: [
+        ...(system ? [{ role: "system", content: system }] : []),
+        ...messages.map((message) => ({
+          role: message.role,
+          content: BaseProvider.joinText(message.content),
+        })),
+      ],
+      // Salida restringida por JSON schema (soportado por OpenAI, Ollama y vLLM)
+      ...(tool
+        ? {
+            response_format: {
+              type: "json_schema",
+              json_schema: { name: tool.name, schema: tool.inputSchema },
+            },
+          }
+        : {}),
+    };
+  }
+
+  async invoke(request) {
+    // Los servidores locales como Ollama no necesitan autenticación
+    const headers = this.config.apiKey
+      ? { authorization: `Bearer ${this.config.apiKey}` }
+      : {};
+    return postJson(`${this.baseUrl}/chat/completions`, headers, request);
+  }
+
+  extractText(response) {
+    const [choice] = response.choices || [];
+    return (choice && choice.message && choice.message.content) || "";
+  }
+
+  // Con response_format el contenido del mensaje es el JSON de la herramienta
+  extractToolInput(response) {
+    try {
+      return JSON.parse(this.extractText(response));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  extractUsage(response) {
+    return response.usage
+      ? {
+          inputTokens: response.usage.prompt_tokens || 0,
+          outputTokens: response.usage.completion_tokens || 0,
+        }
+      : null;
+  }
+}
+
+module.exports = { OpenAICompatibleProvider };
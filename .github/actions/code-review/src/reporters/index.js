@@ -0,0 +1,18 @@
+const { writeJsonReport } = require("./json");
+const { writeSarifReport } = require("./sarif");
+const { writeJUnitReport } = require("./junit");
+
+// Escribe los informes JSON, SARIF y JUnit en `outputDir` y devuelve sus rutas
+function writeReports(outputDir, report) {
+  return {
+    json: writeJsonReport(outputDir, report),
+    sarif: writeSarifReport(outputDir, report.openFindings),
+    junit: writeJUnitReport(
+      outputDir,
+      report.reviewedFiles,
+      report.openFindings
+    ),
+  };
+}
+
+module.exports = { writeReports };
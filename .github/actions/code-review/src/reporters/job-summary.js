@@ -0,0 +1,51 @@
+const { SEVERITIES } = require("../summary");
+const { formatCost } = require("../usage");
+
+// Resumen del job en la página de la ejecución de Actions (core.summary): los
+// hallazgos abiertos y el consumo de tokens por archivo y total
+async function writeJobSummary(summary, report) {
+  const { usage } = report;
+  const header = (...cells) => cells.map((data) => ({ data, header: true }));
+
+  summary
+    .addHeading("AI Code Review", 2)
+    .addRaw(
+      `${report.totalIssues} open issues in PR #${report.pullRequest}.`,
+      true
+    )
+    .addTable([
+      header("Severity", "Count"),
+      ...SEVERITIES.map(({ key, label }) => [
+        label,
+        String(report.counts[key]),
+      ]),
+    ])
+    .addHeading("Usage", 3)
+    .addTable([
+      header("File", "Requests", "Input tokens", "Output tokens", "Cost"),
+      ...Object.entries(usage.files).map(([path, fileUsage]) => [
+        path,
+        String(fileUsage.requests),
+        String(fileUsage.inputTokens),
+        String(fileUsage.outputTokens),
+        formatCost(fileUsage.cost),
+      ]),
+      [
+        "Total",
+        String(usage.requests),
+        String(usage.inputTokens),
+        String(usage.outputTokens),
+        formatCost(usage.cost),
+      ],
+    ])
+    .addRaw(`Model: ${report.model}`, true);
+
+  try {
+    await summary.write();
+  } catch (error) {
+    // Fuera de GitHub Actions no existe GITHUB_STEP_SUMMARY
+    console.warn(`Could not write the job summary: ${error.message}`);
+  }
+}
+
+module.exports = { writeJobSummary };
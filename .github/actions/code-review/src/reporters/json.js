@@ -0,0 +1,12 @@
+const fs = require("fs");
+const path = require("path");
+
+// Informe JSON con los hallazgos de la ejecución y los totales abiertos del PR
+function writeJsonReport(outputDir, report) {
+  fs.mkdirSync(outputDir, { recursive: true });
+  const reportPath = path.join(outputDir, "ai-code-review.json");
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+  return reportPath;
+}
+
+module.exports = { writeJsonReport };
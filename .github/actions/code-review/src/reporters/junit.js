@@ -0,0 +1,81 @@
+const fs = require("fs");
+const path = require("path");
+const { formatLineRange } = require("../utils");
+
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// Un testsuite por archivo revisado y un testcase fallido por hallazgo. Los
+// archivos sin hallazgos aparecen con un testcase correcto
+function buildJUnit(files, findings) {
+  const byFile = new Map(files.map((file) => [file, []]));
+  for (const finding of findings) {
+    if (!byFile.has(finding.path)) {
+      byFile.set(finding.path, []);
+    }
+    byFile.get(finding.path).push(finding);
+  }
+
+  const suites = [...byFile.entries()].map(([file, fileFindings]) => {
+    const cases = fileFindings.length
+      ? fileFindings.map(
+          (finding) => `    <testcase classname="${escapeXml(
+            file
+          )}" name="${escapeXml(
+            `${formatLineRange(finding)}: ${finding.description}`
+          )}">
+      <failure type="${escapeXml(finding.severity)}" message="${escapeXml(
+            finding.description
+          )}">${escapeXml(
+            [
+              `Severity: ${finding.severity}`,
+              `Category: ${finding.category || "correctness"}`,
+              finding.explanation,
+              finding.solution,
+            ]
+              .filter(Boolean)
+              .join("\n\n")
+          )}</failure>
+    </testcase>`
+        )
+      : [
+          `    <testcase classname="${escapeXml(
+            file
+          )}" name="No issues found" />`,
+        ];
+
+    return `  <testsuite name="${escapeXml(file)}" tests="${
+      cases.length
+    }" failures="${fileFindings.length}">
+${cases.join("\n")}
+  </testsuite>`;
+  });
+
+  const tests = [...byFile.values()].reduce(
+    (total, fileFindings) => total + Math.max(fileFindings.length, 1),
+    0
+  );
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="AI Code Review" tests="${tests}" failures="${
+    findings.length
+  }">
+${suites.join("\n")}
+</testsuites>
+`;
+}
+
+function writeJUnitReport(outputDir, files, findings) {
+  fs.mkdirSync(outputDir, { recursive: true });
+  const reportPath = path.join(outputDir, "ai-code-review.junit.xml");
+  fs.writeFileSync(reportPath, buildJUnit(files, findings));
+  return reportPath;
+}
+
+module.exports = { buildJUnit, writeJUnitReport };
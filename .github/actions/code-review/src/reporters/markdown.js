@@ -0,0 +1,71 @@
+const { SEVERITIES, SKIP_REASONS } = require("../summary");
+const { formatLineRange, fenceCode } = require("../utils");
+const { groupByPath } = require("./text");
+const { formatCost } = require("../usage");
+
+// Informe en Markdown de una revisión local, con el mismo formato de tabla
+// que el comentario de resumen del PR
+function formatMarkdown(report) {
+  const sections = [
+    "## AI Code Review",
+    report.totalIssues > 0
+      ? `${report.totalIssues} issues found.`
+      : "✅ No issues found.",
+    [
+      "| Severity | Count |",
+      "|----------|-------|",
+      ...SEVERITIES.map(
+        ({ key, label }) => `| ${label} | ${report.counts[key] || 0} |`
+      ),
+    ].join("\n"),
+  ];
+
+  for (const [path, findings] of groupByPath(report.findings)) {
+    sections.push(`### \`${path}\``);
+    for (const finding of findings) {
+      const label =
+        (SEVERITIES.find(({ key }) => key === finding.severity) || {}).label ||
+        finding.severity;
+      sections.push(
+        [
+          `**${label}** · ${
+            finding.category || "correctness"
+          } · ${formatLineRange(finding)}`,
+          "",
+          finding.description,
+          ...(finding.explanation ? ["", finding.explanation] : []),
+          ...(finding.solution
+            ? ["", fenceCode("diff", finding.solution)]
+            : []),
+        ].join("\n")
+      );
+    }
+  }
+
+  if (report.skipped.length > 0) {
+    sections.push(
+      [
+        "### Files not reviewed",
+        "",
+        ...report.skipped.map(
+          (file) =>
+            `- \`${file.path}\`: ${SKIP_REASONS[file.reason] || file.reason}${
+              file.detail ? ` (${file.detail})` : ""
+            }${file.score !== undefined ? ` (risk score ${file.score})` : ""}`
+        ),
+      ].join("\n")
+    );
+  }
+
+  if (report.usage) {
+    sections.push(
+      `*${report.usage.inputTokens} input and ${
+        report.usage.outputTokens
+      } output tokens, estimated cost: ${formatCost(report.usage.cost)}.*`
+    );
+  }
+
+  return `${sections.join("\n\n")}\n`;
+}
+
+module.exports = { formatMarkdown };
@@ -0,0 +1,157 @@
+const fs = require("fs");
+const path = require("path");
+const { toReplacementCode } = require("../utils");
+const { version } = require("../../package.json");
+
+const SARIF_LEVELS = {
+  critical: "error",
+  high: "error",
+  medium: "warning",
+  low: "note",
+  info: "note",
+};
+
+// Escala de 0 a 10 que usa code scanning para clasificar las alertas
+const SECURITY_SEVERITY = {
+  critical: 9.5,
+  high: 7.5,
+  medium: 5.0,
+  low: 2.0,
+  info: 0.0,
+};
+
+const CATEGORY_NAMES = {
+  security: "Security",
+  performance: "Performance",
+  correctness: "Correctness",
+  style: "Style",
+  maintainability: "Maintainability",
+};
+
+function ruleId(category) {
+  return `ai-review/${category || "correctness"}`;
+}
+
+// Una regla por categoría. Code scanning lee `security-severity` de la regla,
+// así que se usa la severidad más alta de sus resultados
+function buildRules(findings) {
+  const rules = new Map();
+  for (const finding of findings) {
+    const id = ruleId(finding.category);
+    const severity = SECURITY_SEVERITY[finding.severity] || 0;
+    const rule = rules.get(id);
+    if (rule) {
+      rule.maxSeverity = Math.max(rule.maxSeverity, severity);
+      continue;
+    }
+    rules.set(id, { id, category: finding.category, maxSeverity: severity });
+  }
+
+  return [...rules.values()].map(({ id, category, maxSeverity }) => {
+    const name = CATEGORY_NAMES[category] || "Correctness";
+    return {
+      id,
+      name: `${name}Issue`,
+      shortDescription: { text: `${name} issue found by AI code review` },
+      properties: {
+        tags: category === "security" ? ["security"] : [category],
+        "security-severity": maxSeverity.toFixed(1),
+      },
+    };
+  });
+}
+
+function buildResult(finding, ruleIndex) {
+  const region = {
+    startLine: finding.startLine || finding.line,
+    endLine: finding.line,
+  };
+  const result = {
+    ruleId: ruleId(finding.category),
+    ruleIndex,
+    level: SARIF_LEVELS[finding.severity] || "note",
+    message: { text: finding.description },
+    locations: [
+      {
+        physicalLocation: {
+          artifactLocation: { uri: finding.path },
+          region,
+        },
+      },
+    ],
+    properties: {
+      severity: finding.severity,
+      "security-severity": (SECURITY_SEVERITY[finding.severity] || 0).toFixed(
+        1
+      ),
+      ...(finding.confidence !== undefined
+        ? { confidence: finding.confidence }
+        : {}),
+      ...(finding.passes ? { passes: finding.passes } : {}),
+    },
+  };
+
+  if (finding.fingerprint) {
+    result.partialFingerprints = { "aiReviewFinding/v1": finding.fingerprint };
+  }
+
+  const replacement = toReplacementCode(finding.solution);
+  if (replacement !== null) {
+    result.fixes = [
+      {
+        description: { text: finding.explanation || "Suggested fix" },
+        artifactChanges: [
+          {
+            artifactLocation: { uri: finding.path },
+            replacements: [
+              {
+                deletedRegion: region,
+                insertedContent: { text: `${replacement}\n` },
+              },
+            ],
+          },
+        ],
+      },
+    ];
+  }
+
+  return result;
+}
+
+// SARIF 2.1.0 con los hallazgos abiertos. Los que están sobre código
+// eliminado no tienen ubicación en el commit analizado y se omiten
+function buildSarif(findings) {
+  const located = findings.filter((finding) => finding.side !== "LEFT");
+  const rules = buildRules(located);
+  const ruleIndexes = new Map(rules.map((rule, index) => [rule.id, index]));
+
+  return {
+    $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+    version: "2.1.0",
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: "AI Code Review",
+            version,
+            informationUri:
+              "https://github.com/4l3j4ndr0/demo-ia-code-review-action",
+            rules,
+          },
+        },
+        results: located.map((finding) =>
+          buildResult(finding, ruleIndexes.get(ruleId(finding.category)))
+        ),
+      },
+    ],
+  };
+}
+
+function writeSarifReport(outputDir, findings) {
+  fs.mkdirSync(outputDir, { recursive: true });
+  const reportPath = path.join(outputDir, "ai-code-review.sarif");
+  fs.writeFileSync(reportPath, JSON.stringify(buildSarif(findings), null, 2));
+  return reportPath;
+}
+
+module.exports = { buildSarif, writeSarifReport };
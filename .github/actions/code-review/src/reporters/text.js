@@ -0,0 +1,58 @@
+const { formatCost } = require("../usage");
+
+// Salida legible en la terminal: una línea por hallazgo, agrupados por
+// archivo, y los totales al final
+function formatText(report) {
+  const lines = [];
+  const byFile = groupByPath(report.findings);
+
+  for (const [path, findings] of byFile) {
+    lines.push(path);
+    for (const finding of findings) {
+      const location = finding.startLine
+        ? `${finding.startLine}-${finding.line}`
+        : `${finding.line}`;
+      lines.push(
+        `  ${location.padEnd(9)} ${finding.severity.padEnd(8)} ${(
+          finding.category || "correctness"
+        ).padEnd(15)} ${finding.description}`
+      );
+    }
+    lines.push("");
+  }
+
+  for (const file of report.skipped) {
+    lines.push(
+      `Not reviewed: ${file.path} (${file.reason}${
+        file.detail ? `: ${file.detail}` : ""
+      }${file.score !== undefined ? `, risk score ${file.score}` : ""})`
+    );
+  }
+
+  lines.push(
+    `${report.totalIssues} issues found (${Object.entries(report.counts)
+      .map(([severity, count]) => `${count} ${severity}`)
+      .join(", ")})`
+  );
+  if (report.usage) {
+    lines.push(
+      `Tokens: ${report.usage.inputTokens} input, ${
+        report.usage.outputTokens
+      } output (estimated cost: ${formatCost(report.usage.cost)})`
+    );
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+function groupByPath(findings) {
+  const byFile = new Map();
+  for (const finding of findings) {
+    if (!byFile.has(finding.path)) {
+      byFile.set(finding.path, []);
+    }
+    byFile.get(finding.path).push(finding);
+  }
+  return byFile;
+}
+
+module.exports = { formatText, groupByPath };
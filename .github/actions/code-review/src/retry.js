@@ -0,0 +1,142 @@
+const MAX_RETRIES = 5;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 60000;
+
+// Errores transitorios de Bedrock y de los proveedores HTTP
+const RETRYABLE_ERROR_NAMES = new Set([
+  "ThrottlingException",
+  "TooManyRequestsException",
+  "ServiceUnavailableException",
+  "InternalServerException",
+  "ModelNotReadyException",
+  "ModelTimeoutException",
+]);
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function getStatus(error) {
+  return error.status || (error.$metadata && error.$metadata.httpStatusCode);
+}
+
+function getHeaders(error) {
+  return (
+    error.headers ||
+    (error.response && error.response.headers) ||
+    (error.$response && error.$response.headers) ||
+    {}
+  );
+}
+
+// Espera indicada por el servidor en `retry-after` (segundos o fecha HTTP),
+// o en `x-ratelimit-reset` cuando GitHub agota el límite primario
+function getRetryAfter(error) {
+  const headers = getHeaders(error);
+  const retryAfter = headers["retry-after"];
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) {
+      return seconds * 1000;
+    }
+    const date = Date.parse(retryAfter);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  if (
+    headers["x-ratelimit-remaining"] === "0" &&
+    headers["x-ratelimit-reset"]
+  ) {
+    return Math.max(
+      0,
+      Number(headers["x-ratelimit-reset"]) * 1000 - Date.now()
+    );
+  }
+  return null;
+}
+
+function isRetryableProviderError(error) {
+  const status = getStatus(error);
+  return (
+    RETRYABLE_ERROR_NAMES.has(error.name) ||
+    status === 429 ||
+    status >= 500 ||
+    // Fallos de red de fetch, sin respuesta del servidor
+    (error.name === "TypeError" && error.message === "fetch failed")
+  );
+}
+
+// Métodos que se pueden repetir sin riesgo de duplicar lo creado
+const SAFE_METHODS = new Set(["GET", "HEAD"]);
+
+// GitHub responde 403 o 429 a los límites secundarios y primarios, sin
+// procesar la petición. Un 5xx puede llegar cuando GitHub ya la aceptó, así
+// que con `method` de escritura (crear una revisión o un comentario) no se
+// repite
+function isRetryableGitHubError(error, method = "GET") {
+  const status = getStatus(error);
+  if (status === 429) {
+    return true;
+  }
+  if (status >= 500) {
+    return SAFE_METHODS.has(method.toUpperCase());
+  }
+  if (status !== 403) {
+    return false;
+  }
+  const headers = getHeaders(error);
+  return (
+    headers["retry-after"] !== undefined ||
+    headers["x-ratelimit-remaining"] === "0" ||
+    /secondary rate limit/i.test(error.message)
+  );
+}
+
+// Retroceso exponencial con jitter completo: un valor aleatorio entre 0 y
+// BASE_DELAY_MS * 2^intento, con un máximo de MAX_DELAY_MS
+function backoffDelay(attempt) {
+  return Math.random() * Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+}
+
+// Ejecuta `fn` y la repite mientras falle con un error reintentable. Se
+// respeta `retry-after` si el servidor lo indica
+async function withRetry(
+  fn,
+  {
+    isRetryable = isRetryableProviderError,
+    retries = MAX_RETRIES,
+    label = "",
+  } = {}
+) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) {
+        throw error;
+      }
+
+      const retryAfter = getRetryAfter(error);
+      const delay = Math.min(
+        MAX_DELAY_MS,
+        retryAfter !== null ? retryAfter : backoffDelay(attempt)
+      );
+      console.warn(
+        `${label || "Request"} failed (${
+          error.name === "HttpError" ? getStatus(error) : error.name
+        }: ${error.message}), retrying in ${Math.round(delay / 1000)}s (${
+          attempt + 1
+        }/${retries})`
+      );
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  withRetry,
+  isRetryableProviderError,
+  isRetryableGitHubError,
+  getRetryAfter,
+  sleep,
+};
@@ -0,0 +1,110 @@
+const {
+  withRetry,
+  isRetryableGitHubError,
+  isRetryableProviderError,
+  getRetryAfter,
+} = require("./retry");
+
+function httpError(status, headers = {}, message = "error") {
+  return Object.assign(new Error(message), {
+    name: "HttpError",
+    status,
+    response: { headers },
+  });
+}
+
+describe("isRetryableGitHubError", () => {
+  it("retries reads that fail with 5xx", () => {
+    expect(isRetryableGitHubError(httpError(502), "GET")).toBe(true);
+    expect(isRetryableGitHubError(httpError(503), "head")).toBe(true);
+  });
+
+  it("does not retry writes that fail with 5xx", () => {
+    expect(isRetryableGitHubError(httpError(502), "POST")).toBe(false);
+    expect(isRetryableGitHubError(httpError(500), "PATCH")).toBe(false);
+  });
+
+  it("retries rate limited requests of any method", () => {
+    expect(isRetryableGitHubError(httpError(429), "POST")).toBe(true);
+    expect(
+      isRetryableGitHubError(httpError(403, { "retry-after": "1" }), "POST")
+    ).toBe(true);
+    expect(
+      isRetryableGitHubError(
+        httpError(403, { "x-ratelimit-remaining": "0" }),
+        "PUT"
+      )
+    ).toBe(true);
+    expect(
+      isRetryableGitHubError(
+        httpError(403, {}, "You have exceeded a secondary rate limit"),
+        "POST"
+      )
+    ).toBe(true);
+  });
+
+  it("does not retry other client errors", () => {
+    expect(isRetryableGitHubError(httpError(403), "GET")).toBe(false);
+    expect(isRetryableGitHubError(httpError(422), "POST")).toBe(false);
+  });
+});
+
+describe("isRetryableProviderError", () => {
+  it("retries throttling, 5xx and network failures", () => {
+    expect(
+      isRetryableProviderError(
+        Object.assign(new Error(), { name: "ThrottlingException" })
+      )
+    ).toBe(true);
+    expect(isRetryableProviderError(httpError(500))).toBe(true);
+    expect(
+      isRetryableProviderError(
+        Object.assign(new TypeError("fetch failed"), { name: "TypeError" })
+      )
+    ).toBe(true);
+    expect(isRetryableProviderError(httpError(400))).toBe(false);
+  });
+});
+
+describe("getRetryAfter", () => {
+  it("reads retry-after in seconds", () => {
+    expect(getRetryAfter(httpError(429, { "retry-after": "3" }))).toBe(3000);
+  });
+
+  it("returns null without rate limit headers", () => {
+    expect(getRetryAfter(httpError(500))).toBeNull();
+  });
+});
+
+describe("withRetry", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("repeats the call until it succeeds", async () => {
+    const fn = jest
+      .fn()
+      .mockRejectedValueOnce(httpError(429, { "retry-after": "0" }))
+      .mockResolvedValue("ok");
+
+    await expect(
+      withRetry(fn, { isRetryable: isRetryableGitHubError })
+    ).resolves.toBe("ok");
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  it("throws errors that are not retryable right away", async () => {
+    const fn = jest.fn().mockRejectedValue(httpError(502));
+
+    await expect(
+      withRetry(fn, {
+        isRetryable: (error) => isRetryableGitHubError(error, "POST"),
+      })
+    ).rejects.toThrow("error");
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
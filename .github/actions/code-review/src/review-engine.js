@@ -0,0 +1,685 @@
+const { DiffParser } = require("./diff-parser");
+const { BaseProvider } = require("./providers/base-provider");
+const {
+  estimateTokens,
+  getContextWindow,
+  DEFAULT_MAX_TOKENS,
+} = require("./tokens");
+const { chunkCode, chunkExcerpt } = require("./chunker");
+const { UsageTracker } = require("./usage");
+const { ContextBuilder } = require("./context-builder");
+const {
+  REPORT_FINDINGS_TOOL,
+  parseFindingsOutput,
+  buildRepairMessage,
+  computeFingerprint,
+  mergeFindings,
+  aggregatePasses,
+} = require("./findings");
+const { isFileIgnored, applySuppressions } = require("./suppressions");
+const { countChangedLines, rankFiles } = require("./risk");
+const {
+  scanSecrets,
+  buildSecretFindings,
+  isSecretFinding,
+  isNeverSend,
+} = require("./secrets");
+const { REVIEW_PASSES, DEFAULT_PASSES, findMissingTests } = require("./passes");
+const { getLocale } = require("./locales");
+const { PromptTemplates, languageName } = require("./prompts");
+const { shouldAnalyzeFile, resolvePathConfig, fenceCode } = require("./utils");
+
+// Tamaño mínimo de un fragmento aunque el prompt ocupe casi toda la ventana
+const MIN_CHUNK_TOKENS = 1000;
+
+// Núcleo del análisis, independiente de GitHub: recibe los archivos con su
+// patch y su contenido y devuelve los hallazgos de cada uno. Lo usan la
+// acción (CodeReviewBot) y la CLI local (bin/ai-review)
+class ReviewEngine {
+  constructor(config, provider) {
+    this.config = config;
+    this.provider = provider;
+    this.diffParser = new DiffParser();
+    this.usage = new UsageTracker(config);
+    // Plantillas de prompt del repositorio o las incluidas en la acción
+    this.templates = new PromptTemplates(config.workspace || process.cwd());
+    // Huellas de los hallazgos aceptados en la línea base
+    this.baseline = new Set(
+      (config.baseline || []).map((entry) => entry.fingerprint)
+    );
+  }
+
+  // Revisa una lista de archivos ({ filename, patch }) respetando las
+  // exclusiones y el límite de archivos, con hasta `concurrency` archivos a
+  // la vez. `loadContent(file)` devuelve el contenido a revisar,
+  // `getDiff(file, content)` permite cambiar el alcance y `loadFile(path)`
+  // lee otros archivos del repositorio para el contexto entre archivos.
+  // Los archivos se revisan de mayor a menor riesgo, y `churn` (commits
+  // recientes por archivo) es parte de esa puntuación. `prFiles` son todos
+  // los archivos del PR, aunque solo se revise una parte
+  async reviewFiles(
+    files,
+    {
+      loadContent,
+      getDiff = (file, content) => this.buildDiff(file, content),
+      loadFile = null,
+      churn = new Map(),
+      prFiles = files.map((file) => file.filename),
+    }
+  ) {
+    const contextBuilder =
+      loadFile && this.config.contextBudget
+        ? new ContextBuilder({
+            // Los archivos de `never-send-patterns` no entran en el contexto
+            loadFile: (path) =>
+              isNeverSend(path, this.config) ? null : loadFile(path),
+            prFiles,
+            budget: this.config.contextBudget,
+          })
+        : null;
+    const queue = [];
+    const skipped = []; // Archivos no revisados y el motivo
+    const candidates = [];
+
+    for (const file of files) {
+      const reason = this.getSkipReason(file);
+      if (reason) {
+        skipped.push({ path: file.filename, reason });
+      } else {
+        candidates.push(file);
+      }
+    }
+
+    // Por encima de `max-files` quedan fuera los archivos de menor riesgo
+    for (const { file, score } of rankFiles(candidates, churn)) {
+      if (queue.length >= this.config.maxFiles) {
+        skipped.push({ path: file.filename, reason: "max-files", score });
+      } else {
+        queue.push(file);
+      }
+    }
+
+    // Agotado el presupuesto de tiempo, tokens o coste no se empiezan más
+    // archivos; los que están en curso terminan
+    const deadline = this.config.timeBudget
+      ? Date.now() + this.config.timeBudget
+      : Infinity;
+    const outcomes = new Array(queue.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < queue.length) {
+        const index = next++;
+        if (Date.now() >= deadline) {
+          outcomes[index] = { skipReason: "time-budget" };
+        } else if (this.usage.isExhausted()) {
+          outcomes[index] = { skipReason: "budget" };
+        } else {
+          outcomes[index] = await this.reviewQueuedFile(queue[index], {
+            loadContent,
+            getDiff,
+            contextBuilder,
+            prFiles,
+          });
+        }
+      }
+    };
+    await Promise.all(
+      Array.from(
+        { length: Math.min(this.config.concurrency || 1, queue.length) },
+        worker
+      )
+    );
+
+    // Resultados en el orden de los archivos, independientemente del orden
+    // en que terminaron
+    const results = [];
+    outcomes.forEach((outcome, index) => {
+      const file = queue[index];
+      if (outcome.skipReason) {
+        skipped.push({ path: file.filename, reason: outcome.skipReason });
+        return;
+      }
+      results.push(outcome);
+      if (outcome.error) {
+        skipped.push({
+          path: file.filename,
+          reason: "error",
+          detail: outcome.error,
+        });
+      }
+    });
+
+    for (const [reason, label] of [
+      ["time-budget", "Time budget"],
+      ["budget", "Token or cost budget"],
+    ]) {
+      const count = outcomes.filter(
+        (outcome) => outcome.skipReason === reason
+      ).length;
+      if (count > 0) {
+        console.warn(`${label} exhausted, ${count} files were not reviewed`);
+      }
+    }
+
+    return { results, skipped };
+  }
+
+  // Archivos sin nada que revisar (eliminados, solo renombrados o binarios)
+  // o excluidos por la configuración
+  getSkipReason(file) {
+    if (file.status === "removed") {
+      return "removed";
+    }
+    if (file.status === "renamed" && countChangedLines(file) === 0) {
+      return "renamed";
+    }
+    // La API de GitHub no da patch ni líneas cambiadas para los binarios
+    if (file.binary || (!file.patch && file.changes === 0)) {
+      return "binary";
+    }
+    if (!shouldAnalyzeFile(file.filename, this.config)) {
+      return "excluded";
+    }
+    return null;
+  }
+
+  async reviewQueuedFile(
+    file,
+    { loadContent, getDiff, contextBuilder, prFiles = [] }
+  ) {
+    try {
+      const content = await loadContent(file);
+      const diff = getDiff(file, content);
+      // `ai-review-ignore-file` evita el modelo, pero no la búsqueda de
+      // secretos
+      const ignored = isFileIgnored(content);
+      if (ignored) {
+        console.log(
+          `Only scanning ${file.filename} for secrets: marked with ai-review-ignore-file`
+        );
+      }
+      const related =
+        contextBuilder && !ignored
+          ? await contextBuilder.build(file.filename, content)
+          : [];
+      const analysis = await this.reviewFile(file, content, diff, related, {
+        prFiles,
+        secretsOnly: ignored,
+      });
+      if (ignored && analysis.length === 0) {
+        return { skipReason: "ignored" };
+      }
+
+      // Resultado con las líneas revisadas (null si se revisó el archivo
+      // completo); el archivo y su contenido sirven para ubicar los
+      // comentarios
+      return {
+        path: file.filename,
+        analysis,
+        changedLines: diff ? diff.changedLines : null,
+        file,
+        content,
+      };
+    } catch (error) {
+      console.error(`Error analyzing ${file.filename}:`, error);
+      // Un resultado vacío para mantener el conteo
+      return { path: file.filename, analysis: [], error: error.message };
+    }
+  }
+
+  // Analiza un archivo y devuelve los hallazgos dentro del alcance revisado.
+  // `diff` es un extracto como el de buildDiff(), o null para el archivo
+  // completo; `related` son los extractos de ContextBuilder y `prFiles`, los
+  // archivos del PR para la pasada `tests`. Con `secretsOnly` solo se
+  // buscan secretos
+  async reviewFile(
+    file,
+    content,
+    diff = null,
+    related = [],
+    { prFiles = [], secretsOnly = false } = {}
+  ) {
+    const passes = secretsOnly ? [] : this.config.passes || DEFAULT_PASSES;
+    const modelPasses = passes.filter((name) => REVIEW_PASSES[name].role);
+    const results = [];
+
+    // Los secretos se detectan sin el modelo, y los archivos de
+    // `never-send-patterns` solo pasan por esta búsqueda
+    if (this.config.secretScan !== false) {
+      results.push({
+        pass: "secrets",
+        findings: buildSecretFindings(
+          scanSecrets(content),
+          this.config.commentLanguage
+        ),
+      });
+    }
+    if (modelPasses.length && isNeverSend(file.filename, this.config)) {
+      console.log(
+        `Not sending ${file.filename} to the model (never-send-patterns)`
+      );
+    } else {
+      // Una llamada al modelo por pasada, con sus instrucciones; se
+      // descartan las categorías que no le corresponden
+      for (const pass of modelPasses) {
+        const findings = await this.analyzeCode(
+          content,
+          file.filename,
+          this.config.reviewScope === "diff" ? diff : null,
+          related,
+          pass
+        );
+        results.push({
+          pass,
+          findings: findings.filter((finding) =>
+            REVIEW_PASSES[pass].categories.includes(finding.category)
+          ),
+        });
+      }
+    }
+
+    // Los hallazgos de varias pasadas sobre las mismas líneas se unen; el
+    // escáner de secretos va primero y gana a igual severidad. La pasada
+    // `tests` señala el archivo entero, así que no se une con los demás
+    let analysis = aggregatePasses(results);
+    if (passes.includes("tests")) {
+      analysis.push(
+        ...aggregatePasses([
+          {
+            pass: "tests",
+            findings: findMissingTests(
+              file,
+              diff,
+              prFiles,
+              this.config.commentLanguage
+            ),
+          },
+        ])
+      );
+    }
+
+    if (diff) {
+      analysis = this.filterToChangedLines(analysis, diff, file.filename);
+    }
+    analysis = this.filterIgnoredCategories(analysis, file.filename);
+    analysis = this.fingerprintFindings(file, analysis, content);
+
+    // Hallazgos silenciados en el código o aceptados en la línea base
+    const kept = applySuppressions(analysis, content, this.baseline);
+    if (kept.length < analysis.length) {
+      console.log(
+        `Suppressed ${analysis.length - kept.length} findings in ${
+          file.filename
+        }`
+      );
+    }
+    return kept;
+  }
+
+  // En modo "diff" devuelve el extracto del patch a revisar; null si se
+  // revisa el archivo completo
+  buildDiff(file, content) {
+    if (this.config.reviewScope !== "diff") {
+      return null;
+    }
+
+    if (!file.patch) {
+      console.log(
+        `No patch available for ${file.filename}, reviewing full file instead`
+      );
+      return null;
+    }
+
+    return this.diffParser.buildExcerpt(
+      file.patch,
+      content,
+      this.config.contextLines
+    );
+  }
+
+  // Calcula la huella de cada hallazgo a partir del código que señala
+  fingerprintFindings(file, analysis, content) {
+    const fileLines = content.split("\n");
+    const deleted = new Map();
+    for (const hunk of this.diffParser.parseHunks(file.patch)) {
+      for (const line of hunk.lines) {
+        if (line.type === "del") {
+          deleted.set(line.oldLine, line.content);
+        }
+      }
+    }
+
+    return analysis.map((issue) => {
+      const startLine = issue.startLine || issue.line;
+      const snippet = [];
+      for (let n = startLine; n <= issue.line; n++) {
+        snippet.push(
+          issue.side === "LEFT" ? deleted.get(n) || "" : fileLines[n - 1] || ""
+        );
+      }
+      return {
+        ...issue,
+        fingerprint: computeFingerprint(file.filename, snippet, issue.category),
+      };
+    });
+  }
+
+  // Descarta los hallazgos que no caen sobre líneas modificadas por el PR
+  filterToChangedLines(analysis, diff, filename) {
+    const inScope = analysis.filter((issue) => {
+      if (issue.side === "LEFT") {
+        return diff.deletedLines.has(issue.line);
+      }
+      for (let n = issue.startLine || issue.line; n <= issue.line; n++) {
+        if (diff.changedLines.has(n)) {
+          return true;
+        }
+      }
+      return false;
+    });
+    const discarded = analysis.length - inScope.length;
+    if (discarded > 0) {
+      console.log(
+        `Discarded ${discarded} out-of-scope findings for ${filename}`
+      );
+    }
+    return inScope;
+  }
+
+  // Descarta las categorías ignoradas, salvo los secretos
+  filterIgnoredCategories(analysis, filename) {
+    const { ignore } = resolvePathConfig(this.config, filename).categories;
+    return analysis.filter(
+      (issue) => isSecretFinding(issue) || !ignore.includes(issue.category)
+    );
+  }
+
+  // Analiza el código de un archivo. Si no cabe en la ventana de contexto
+  // del modelo se divide en fragmentos que se analizan por separado
+  async analyzeCode(
+    content,
+    filename,
+    diff = null,
+    related = [],
+    pass = "general"
+  ) {
+    const budget = this.getCodeTokenBudget(filename, diff, related, pass);
+    if (estimateTokens(diff ? diff.excerpt : content) <= budget) {
+      return this.analyzeChunk(content, filename, diff, { related, pass });
+    }
+
+    const chunks = diff
+      ? chunkExcerpt(diff.excerpt, budget)
+      : chunkCode(content, budget);
+    console.log(
+      `${filename} exceeds the token budget of ${budget}, reviewing it in ${chunks.length} chunks`
+    );
+
+    const findings = [];
+    for (const [index, chunk] of chunks.entries()) {
+      const part = {
+        index: index + 1,
+        total: chunks.length,
+        startLine: chunk.startLine,
+        endLine: chunk.endLine,
+      };
+      const chunkFindings = await this.analyzeChunk(
+        diff ? content : chunk.text,
+        filename,
+        diff ? { ...diff, excerpt: chunk.text } : null,
+        { part, related, pass }
+      );
+
+      // Llevar las líneas del fragmento a las del archivo, descartando las
+      // que quedan fuera del fragmento
+      const chunkLength = chunk.endLine - chunk.startLine + 1;
+      for (const finding of chunkFindings) {
+        if (!diff && finding.line > chunkLength) {
+          continue;
+        }
+        findings.push({
+          ...finding,
+          line: finding.line + chunk.lineOffset,
+          ...(finding.startLine
+            ? { startLine: finding.startLine + chunk.lineOffset }
+            : {}),
+        });
+      }
+    }
+
+    // Los fragmentos se solapan, así que un mismo problema puede aparecer
+    // en dos de ellos
+    return mergeFindings(findings);
+  }
+
+  // Tokens disponibles para el código: la ventana de contexto menos la
+  // respuesta (`max-tokens`), el resto del prompt y un margen del 10% por lo
+  // aproximado de la estimación
+  getCodeTokenBudget(filename, diff, related = [], pass = "general") {
+    const { system, messages } = this.buildPrompt(
+      "",
+      filename,
+      diff ? { ...diff, excerpt: "" } : null,
+      { part: { index: 1, total: 2, startLine: 1, endLine: 1 }, related, pass }
+    );
+    const emptyPrompt = [
+      system,
+      ...messages.map((message) => BaseProvider.joinText(message.content)),
+    ].join("\n");
+    const window = getContextWindow(this.config);
+    return Math.max(
+      MIN_CHUNK_TOKENS,
+      Math.floor(window * 0.9) -
+        this.getMaxTokens() -
+        estimateTokens(emptyPrompt) -
+        estimateTokens(JSON.stringify(REPORT_FINDINGS_TOOL))
+    );
+  }
+
+  getMaxTokens() {
+    return this.config.maxTokens || DEFAULT_MAX_TOKENS;
+  }
+
+  // Llamada al modelo que registra los tokens consumidos por el archivo
+  async generate(filename, options) {
+    const output = await this.provider.generate(options);
+    this.usage.record(filename, output.usage);
+    return output;
+  }
+
+  // `prompt` lleva el fragmento (`part`) y el contexto (`related`) del prompt
+  async analyzeChunk(content, filename, diff = null, prompt = {}) {
+    const { system, messages } = this.buildPrompt(
+      content,
+      filename,
+      diff,
+      prompt
+    );
+    const output = await this.generate(filename, {
+      system,
+      messages,
+      tool: REPORT_FINDINGS_TOOL,
+      maxTokens: this.getMaxTokens(),
+    });
+    let parsed = parseFindingsOutput(output);
+
+    // Un único intento de "reparación" si la salida no cumple el esquema
+    if (parsed.error || parsed.rejected.length > 0) {
+      this.logRejectedFindings(filename, parsed);
+      const previousAnswer = output.toolInput
+        ? JSON.stringify(output.toolInput)
+        : output.text;
+      const repaired = parseFindingsOutput(
+        await this.generate(filename, {
+          system,
+          messages: [
+            ...messages,
+            {
+              role: "assistant",
+              content: [{ type: "text", text: previousAnswer || "(empty)" }],
+            },
+            buildRepairMessage(parsed),
+          ],
+          tool: REPORT_FINDINGS_TOOL,
+          maxTokens: this.getMaxTokens(),
+        })
+      );
+
+      if (!repaired.error) {
+        this.logRejectedFindings(filename, repaired);
+        parsed = repaired;
+      } else if (parsed.error) {
+        // Sin una lista de hallazgos válida no hay nada que reportar
+        console.warn(
+          `Repair attempt failed for ${filename}, no findings reported`
+        );
+        return [];
+      }
+    }
+
+    return parsed.findings;
+  }
+
+  logRejectedFindings(filename, parsed) {
+    if (parsed.error) {
+      console.warn(`Invalid model output for ${filename}: ${parsed.error}`);
+      return;
+    }
+    if (parsed.rejected.length === 0) {
+      return;
+    }
+
+    console.warn(
+      `Rejected ${
+        parsed.rejected.length
+      } findings for ${filename}:\n${parsed.rejected
+        .map(
+          (rejection) =>
+            `  - finding #${rejection.index}: ${rejection.reasons.join("; ")}`
+        )
+        .join("\n")}`
+    );
+  }
+
+  // Prompt de revisión a partir de las plantillas `system.md` (enviada en el
+  // campo system del proveedor) y `review.md`. `part` indica qué fragmento del
+  // archivo se envía cuando no cabe entero, `related` son los extractos de
+  // otros archivos que se añaden como contexto y `pass`, la pasada de revisión
+  buildPrompt(
+    content,
+    filename,
+    diff = null,
+    { part = null, related = [], pass = "general" } = {}
+  ) {
+    const extension = filename.split(".").pop().toLowerCase();
+    const { instructions, categories, promptDirs } = resolvePathConfig(
+      this.config,
+      filename
+    );
+
+    // Instrucciones y categorías de la pasada de revisión
+    const { role, categories: passCategories } = REVIEW_PASSES[pass];
+    const categoryRule =
+      passCategories.length > 1
+        ? `One of ${passCategories.slice(0, -1).join(", ")} or ${
+            passCategories[passCategories.length - 1]
+          }`
+        : `Always ${passCategories[0]}; this review reports no other categories`;
+
+    // Normas de la casa (REVIEW_GUIDELINES.md o CONTRIBUTING.md) e
+    // instrucciones y categorías de la configuración del repositorio
+    const repoGuidance = [
+      ...instructions,
+      categories.focus.length
+        ? `Focus especially on these categories: ${categories.focus.join(
+            ", "
+          )}.`
+        : "",
+      categories.ignore.length
+        ? `Do not report issues in these categories: ${categories.ignore.join(
+            ", "
+          )}.`
+        : "",
+    ].filter(Boolean);
+    const guidelines = this.config.guidelines;
+    const guidelinesSection = `${
+      guidelines
+        ? `## House Rules
+The project's review guidelines, from ${guidelines.path}. Report clear violations of these rules in the changed code.
+
+${guidelines.text}
+
+`
+        : ""
+    }${
+      repoGuidance.length
+        ? `## Repository Review Instructions
+${repoGuidance.join("\n\n")}
+
+`
+        : ""
+    }`;
+
+    // Otros archivos que importa o renderiza, solo como contexto
+    const relatedSection = related.length
+      ? `## Related Files
+Excerpts of files referenced by the file under review, for context only. Use them to check how the file uses other modules and views (for example undefined variables, missing functions or wrong arguments), but do not report issues located in them.
+
+${related
+  .map(
+    (item) => `### ${item.path} (${
+      item.kind === "view" ? "view rendered by this file" : "imported module"
+    }${item.inPullRequest ? ", also changed in this pull request" : ""})
+${fenceCode(item.path.split(".").pop().toLowerCase(), item.excerpt)}`
+  )
+  .join("\n\n")}
+
+`
+      : "";
+
+    // En modo diff solo se envían los hunks modificados con su contexto
+    const partNote =
+      part && part.total > 1
+        ? diff
+          ? `This is part ${part.index} of ${part.total} of the changes.\n`
+          : `This is part ${part.index} of ${part.total} of the file (lines ${part.startLine}-${part.endLine}). Report line numbers relative to this part: its first line is line 1.\n`
+        : "";
+    const codeSection = diff
+      ? `## Changes to Review
+${partNote}Only the changed regions of the file are shown. Each line starts with its line number in the new version of the file, followed by a marker: "+" for added or modified lines, "-" for removed lines (numbered with their line in the old version of the file) and a blank for unchanged context. "..." separates non-contiguous regions.
+Only report issues on lines marked with "+" or "-", and use the line numbers shown. Issues on "-" lines must use "side": "LEFT".
+
+${fenceCode(extension, diff.excerpt)}`
+      : `## Code Content
+${partNote}${fenceCode(extension, content)}`;
+
+    const variables = {
+      role,
+      categories: categoryRule,
+      commentLanguage: getLocale(this.config.commentLanguage).language,
+      filename,
+      extension,
+      language: languageName(extension),
+      guidelines: guidelinesSection,
+      related: relatedSection,
+      diff: codeSection,
+    };
+
+    return {
+      system: this.templates.render("system.md", promptDirs, variables),
+      messages: [
+        {
+          role: "user",
+          content: [
+            {
+              type: "text",
+              text: this.templates.render("review.md", promptDirs, variables),
+            },
+          ],
+        },
+      ],
+    };
+  }
+}
+
+module.exports = { ReviewEngine };
@@ -0,0 +1,138 @@
+const { execFileSync } = require("child_process");
+
+// Rutas que suelen contener lógica sensible: autenticación, secretos, pagos,
+// permisos, acceso a datos e infraestructura
+const SENSITIVE_PATH =
+  /(auth|login|passw|secret|token|credential|crypt|security|session|permission|oauth|jwt|payment|billing|admin|sql|migration|(^|\/)dockerfile$|\.github\/workflows\/)/i;
+
+const TEST_PATH = /(^|\/)(tests?|__tests__|spec)\/|\.(test|spec)\.[^/]+$/i;
+// test_x.py, x_test.go y XTest.java (sin /i para no confundir contests.js)
+const TEST_NAME = /(^|\/)test_[^/]+$|_test\.[^/]+$|[a-z]Tests?\.[^/.]+$/;
+
+const SENSITIVE_BONUS = 5;
+const TEST_FACTOR = 0.5;
+
+// Peso de cada extensión: el código de la aplicación pesa más que las
+// plantillas, la configuración, los estilos o la documentación
+const LANGUAGE_WEIGHTS = {
+  js: 1,
+  jsx: 1,
+  mjs: 1,
+  cjs: 1,
+  ts: 1,
+  tsx: 1,
+  py: 1,
+  rb: 1,
+  go: 1,
+  java: 1,
+  kt: 1,
+  cs: 1,
+  php: 1,
+  rs: 1,
+  c: 1,
+  cpp: 1,
+  h: 1,
+  swift: 1,
+  scala: 1,
+  sh: 1,
+  sql: 1,
+  ejs: 0.8,
+  html: 0.8,
+  vue: 0.8,
+  svelte: 0.8,
+  pug: 0.8,
+  yml: 0.5,
+  yaml: 0.5,
+  json: 0.5,
+  toml: 0.5,
+  css: 0.3,
+  scss: 0.3,
+  md: 0.2,
+  txt: 0.2,
+  lock: 0.1,
+};
+const DEFAULT_LANGUAGE_WEIGHT = 0.6;
+
+// Días de historial que cuentan para la frecuencia de cambios
+const CHURN_DAYS = 90;
+
+// Líneas añadidas y eliminadas: `changes` en los archivos de la API de GitHub,
+// o contadas en el patch para los de `git diff`
+function countChangedLines(file) {
+  if (typeof file.changes === "number") {
+    return file.changes;
+  }
+  return (file.patch || "").split("\n").filter((line) => /^[+-]/.test(line))
+    .length;
+}
+
+// Puntuación de riesgo de un archivo: tamaño del cambio, rutas sensibles y
+// frecuencia de cambios (ambos en escala logarítmica), ponderada por el
+// lenguaje y reducida para los tests
+function scoreFile(file, churn = new Map()) {
+  const filename = file.filename;
+  const extension = filename.includes(".")
+    ? filename.split(".").pop().toLowerCase()
+    : "";
+  const weight = LANGUAGE_WEIGHTS[extension] ?? DEFAULT_LANGUAGE_WEIGHT;
+
+  const score =
+    (Math.log2(1 + countChangedLines(file)) +
+      (SENSITIVE_PATH.test(filename) ? SENSITIVE_BONUS : 0) +
+      Math.log2(1 + (churn.get(filename) || 0))) *
+    weight *
+    (isTestFile(filename) ? TEST_FACTOR : 1);
+
+  return Math.round(score * 10) / 10;
+}
+
+function isTestFile(filename) {
+  return TEST_PATH.test(filename) || TEST_NAME.test(filename);
+}
+
+// Ordena los archivos de mayor a menor riesgo; a igual puntuación se
+// conserva el orden original
+function rankFiles(files, churn = new Map()) {
+  return files
+    .map((file, index) => ({ file, score: scoreFile(file, churn), index }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ file, score }) => ({ file, score }));
+}
+
+// Número de commits recientes que tocaron cada archivo, según el historial
+// git local. Sin repositorio (o con un clon superficial) se devuelve lo que
+// haya, y la frecuencia de cambios no influye en el orden
+function loadChurn(workspace) {
+  const churn = new Map();
+  let log;
+  try {
+    log = execFileSync(
+      "git",
+      ["log", `--since=${CHURN_DAYS}.days.ago`, "--format=", "--name-only"],
+      {
+        cwd: workspace,
+        encoding: "utf-8",
+        maxBuffer: 64 * 1024 * 1024,
+        stdio: ["ignore", "pipe", "ignore"],
+      }
+    );
+  } catch (error) {
+    console.log("No git history available, ranking files without churn");
+    return churn;
+  }
+
+  for (const filename of log.split("\n")) {
+    if (filename) {
+      churn.set(filename, (churn.get(filename) || 0) + 1);
+    }
+  }
+  return churn;
+}
+
+module.exports = {
+  countChangedLines,
+  isTestFile,
+  scoreFile,
+  rankFiles,
+  loadChurn,
+};
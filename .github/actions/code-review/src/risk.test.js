@@ -0,0 +1,97 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  countChangedLines,
+  isTestFile,
+  scoreFile,
+  rankFiles,
+  loadChurn,
+} = require("./risk");
+
+describe("countChangedLines", () => {
+  it("uses the changes of the GitHub API", () => {
+    expect(countChangedLines({ changes: 12, patch: "+a" })).toBe(12);
+  });
+
+  it("counts added and removed lines of a git diff patch", () => {
+    expect(
+      countChangedLines({ patch: "@@ -1,2 +1,2 @@\n a\n-b\n+c\n+d" })
+    ).toBe(3);
+    expect(countChangedLines({ patch: null })).toBe(0);
+  });
+});
+
+describe("isTestFile", () => {
+  it("recognizes the usual test locations and names", () => {
+    expect(isTestFile("src/app.test.js")).toBe(true);
+    expect(isTestFile("__tests__/app.js")).toBe(true);
+    expect(isTestFile("pkg/test_app.py")).toBe(true);
+    expect(isTestFile("pkg/app_test.go")).toBe(true);
+    expect(isTestFile("src/AppTest.java")).toBe(true);
+  });
+
+  it("does not confuse files that only contain the word", () => {
+    expect(isTestFile("src/contests.js")).toBe(false);
+    expect(isTestFile("src/latest.js")).toBe(false);
+  });
+});
+
+describe("scoreFile", () => {
+  it("grows with the size of the change", () => {
+    expect(scoreFile({ filename: "src/app.js", changes: 7 })).toBe(3);
+    expect(scoreFile({ filename: "src/app.js", changes: 63 })).toBe(6);
+  });
+
+  it("adds a bonus for sensitive paths", () => {
+    expect(scoreFile({ filename: "src/auth/login.js", changes: 7 })).toBe(8);
+    expect(
+      scoreFile({ filename: ".github/workflows/ci.yml", changes: 7 })
+    ).toBe(4);
+  });
+
+  it("weights the language and halves tests", () => {
+    expect(scoreFile({ filename: "README.md", changes: 7 })).toBe(0.6);
+    expect(scoreFile({ filename: "Makefile", changes: 7 })).toBe(1.8);
+    expect(scoreFile({ filename: "src/app.test.js", changes: 7 })).toBe(1.5);
+  });
+
+  it("adds the recent churn of the file", () => {
+    const churn = new Map([["src/app.js", 3]]);
+
+    expect(scoreFile({ filename: "src/app.js", changes: 7 }, churn)).toBe(5);
+  });
+});
+
+describe("rankFiles", () => {
+  it("sorts by score and keeps the original order on ties", () => {
+    const ranked = rankFiles([
+      { filename: "docs/guide.md", changes: 100 },
+      { filename: "src/a.js", changes: 7 },
+      { filename: "src/session.js", changes: 1 },
+      { filename: "src/b.js", changes: 7 },
+    ]);
+
+    expect(ranked.map(({ file }) => file.filename)).toEqual([
+      "src/session.js",
+      "src/a.js",
+      "src/b.js",
+      "docs/guide.md",
+    ]);
+    expect(ranked[1].score).toBe(3);
+  });
+});
+
+describe("loadChurn", () => {
+  it("returns an empty map outside a git repository", () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    const workspace = fs.mkdtempSync(path.join(os.tmpdir(), "ai-review-risk-"));
+
+    try {
+      expect(loadChurn(workspace)).toEqual(new Map());
+    } finally {
+      fs.rmSync(workspace, { recursive: true, force: true });
+      jest.restoreAllMocks();
+    }
+  });
+});
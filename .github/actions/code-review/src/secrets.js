@@ -0,0 +1,227 @@
+const { matchesAny } = require("./utils");
+const { getLocale } = require("./locales");
+
+// Archivos que nunca se envían al modelo; en ellos solo se buscan secretos
+const DEFAULT_NEVER_SEND_PATTERNS = [
+  "**/.env*",
+  "**/*.pem",
+  "**/*.key",
+  "**/*.p12",
+  "**/*.pfx",
+  "**/id_rsa*",
+  "**/id_ed25519*",
+];
+
+// Entropía mínima (bits por carácter) de un valor asignado a una variable con
+// nombre de secreto para considerarlo real y no un texto cualquiera
+const MIN_ENTROPY = 3;
+
+// Valores de ejemplo o plantillas que no son secretos
+const PLACEHOLDER =
+  /^[$%<{[]|\{\{|process\.env|your[_-]|example|placeholder|dummy|changeme|x{4,}|\*{3,}|redacted/i;
+
+// Formatos de claves conocidos, de más a menos específico. `group` es el
+// grupo de la expresión con el valor secreto (0 si es la coincidencia
+// completa); `entropy` exige que el valor parezca aleatorio
+const SECRET_RULES = [
+  { id: "aws-access-key", pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  {
+    id: "github-token",
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g,
+  },
+  { id: "slack-token", pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+  { id: "stripe-key", pattern: /\b[sr]k_live_[A-Za-z0-9]{20,}\b/g },
+  { id: "google-api-key", pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  {
+    id: "llm-api-key",
+    pattern: /\bsk-(?:ant-[a-z0-9]+-|proj-)?[A-Za-z0-9_-]{32,}/g,
+  },
+  {
+    id: "jwt",
+    pattern:
+      /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g,
+  },
+  {
+    id: "connection-string",
+    pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/]+:([^\s:@/]+)@/gi,
+    group: 1,
+  },
+  {
+    id: "generic-secret",
+    pattern:
+      /(?:api[_-]?key|secret|token|passw(?:or)?d|pwd|access[_-]?key|client[_-]?secret)[\w-]*["']?\s*[:=]\s*["'`]([^"'`\s]{8,})["'`]/gi,
+    group: 1,
+    entropy: true,
+  },
+];
+
+const PRIVATE_KEY_BEGIN = /-----BEGIN [A-Z ]*PRIVATE KEY-----/;
+const PRIVATE_KEY_END = /-----END [A-Z ]*PRIVATE KEY-----/;
+// Líneas en base64 del cuerpo de una clave privada
+const KEY_MATERIAL = /[A-Za-z0-9+/=]{16,}/g;
+// Línea que solo tiene base64, con el prefijo de número de línea y marca de
+// los extractos ("   12 + "). Sirve para el cuerpo de una clave cuyo BEGIN
+// quedó fuera del fragmento o del extracto
+const KEY_BODY_LINE = /^([\s\d+-]*)([A-Za-z0-9+/]{40,}={0,2})\s*$/;
+
+// Entropía de Shannon del valor, en bits por carácter
+function shannonEntropy(value) {
+  const counts = new Map();
+  for (const char of value) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+// Base64 con aspecto de material de clave: mayúsculas, minúsculas y dígitos
+// mezclados con entropía alta
+function isKeyBody(value) {
+  return (
+    /[A-Z]/.test(value) &&
+    /[a-z]/.test(value) &&
+    /\d/.test(value) &&
+    shannonEntropy(value) >= MIN_ENTROPY
+  );
+}
+
+function isSecretValue(rule, value) {
+  if (!value || PLACEHOLDER.test(value)) {
+    return false;
+  }
+  return !rule.entropy || shannonEntropy(value) >= MIN_ENTROPY;
+}
+
+// Secretos de una línea: { rule, value, index } de cada coincidencia. Un
+// mismo valor puede encajar en varias reglas (una clave sk-... asignada a
+// `api_key` es también un secreto genérico); se queda la más específica
+function matchLine(line) {
+  const matches = [];
+  const overlaps = (index, value) =>
+    matches.some(
+      (other) =>
+        index < other.index + other.value.length &&
+        other.index < index + value.length
+    );
+
+  for (const rule of SECRET_RULES) {
+    for (const match of line.matchAll(rule.pattern)) {
+      const value = match[rule.group || 0];
+      const index = match.index + match[0].indexOf(value);
+      if (isSecretValue(rule, value) && !overlaps(index, value)) {
+        matches.push({ rule: rule.id, value, index });
+      }
+    }
+  }
+  return matches;
+}
+
+// Busca secretos línea a línea en el contenido de un archivo. Las claves
+// privadas se reportan en su línea BEGIN
+function scanSecrets(content) {
+  const hits = [];
+  content.split("\n").forEach((line, index) => {
+    if (PRIVATE_KEY_BEGIN.test(line)) {
+      hits.push({ rule: "private-key", line: index + 1, value: null });
+    }
+    for (const match of matchLine(line)) {
+      hits.push({ rule: match.rule, line: index + 1, value: match.value });
+    }
+  });
+  return hits;
+}
+
+// Reemplaza los secretos del texto por `[REDACTED:<regla>]`, conservando las
+// líneas para que los números de línea del prompt sigan siendo válidos. Las
+// líneas sueltas de base64 largo se tratan como el cuerpo de una clave
+// privada aunque no se vea su BEGIN
+function redactSecrets(text) {
+  let count = 0;
+  let inPrivateKey = false;
+
+  const lines = text.split("\n").map((line) => {
+    if (PRIVATE_KEY_BEGIN.test(line)) {
+      inPrivateKey = true;
+      return line;
+    }
+    if (inPrivateKey) {
+      if (PRIVATE_KEY_END.test(line)) {
+        inPrivateKey = false;
+        return line;
+      }
+      return line.replace(KEY_MATERIAL, () => {
+        count++;
+        return "[REDACTED:private-key]";
+      });
+    }
+
+    const keyBody = line.match(KEY_BODY_LINE);
+    if (keyBody && isKeyBody(keyBody[2])) {
+      count++;
+      return `${keyBody[1]}[REDACTED:private-key]`;
+    }
+
+    // De derecha a izquierda para no desplazar los índices pendientes
+    let redacted = line;
+    for (const match of matchLine(line).sort((a, b) => b.index - a.index)) {
+      redacted =
+        redacted.slice(0, match.index) +
+        `[REDACTED:${match.rule}]` +
+        redacted.slice(match.index + match.value.length);
+      count++;
+    }
+    return redacted;
+  });
+
+  return { text: lines.join("\n"), count };
+}
+
+// Valor enmascarado para el comentario: solo los primeros caracteres
+function maskSecret(value) {
+  return value.length > 8 ? `${value.slice(0, 4)}…` : "…";
+}
+
+// Hallazgos críticos de seguridad para los secretos encontrados, sin pasar
+// por el modelo
+function buildSecretFindings(hits, language) {
+  const text = getLocale(language).secrets;
+  return hits.map((hit) => ({
+    severity: "critical",
+    category: "security",
+    line: hit.line,
+    side: "RIGHT",
+    confidence: 1,
+    description: text.finding(
+      text.rules[hit.rule],
+      hit.value ? maskSecret(hit.value) : null
+    ),
+    explanation: text.explanation,
+    solution: "",
+  }));
+}
+
+// Hallazgos de la búsqueda de secretos, también unidos con los de otra
+// pasada. No se pueden silenciar con marcas, la línea base ni
+// `ignore-categories`: el secreto sigue en el historial de git
+function isSecretFinding(finding) {
+  return (finding.passes || [finding.pass]).includes("secrets");
+}
+
+function isNeverSend(filename, config) {
+  return matchesAny(filename, config.neverSendPatterns || []);
+}
+
+module.exports = {
+  DEFAULT_NEVER_SEND_PATTERNS,
+  SECRET_RULES,
+  shannonEntropy,
+  scanSecrets,
+  redactSecrets,
+  buildSecretFindings,
+  isSecretFinding,
+  isNeverSend,
+};
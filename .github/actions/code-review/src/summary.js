@@ -0,0 +1,380 @@
+const { formatLineRange } = require("./utils");
+const { formatCost } = require("./usage");
+const {
+  SEVERITIES: SEVERITY_KEYS,
+  SEVERITY_ICONS,
+  normalizeSeverity,
+} = require("./taxonomy");
+const { getLocale } = require("./locales");
+
+const SUMMARY_MARKER = "<!-- ai-code-review:summary -->";
+const STATE_MARKER = "ai-code-review:state";
+const MAX_HISTORY = 20;
+
+// Etiquetas en inglés para los informes que no dependen de `comment-language`
+const SEVERITIES = severityLabels(getLocale("en"));
+const SKIP_REASONS = getLocale("en").summary.skipReasons;
+
+function severityLabels(locale) {
+  return SEVERITY_KEYS.map((key) => ({
+    key,
+    label: `${SEVERITY_ICONS[key]} ${locale.severities[key]}`,
+  }));
+}
+
+function countBySeverity(findings) {
+  const counts = Object.fromEntries(SEVERITY_KEYS.map((key) => [key, 0]));
+  for (const finding of findings) {
+    counts[normalizeSeverity(finding.severity) || "low"]++;
+  }
+  return counts;
+}
+
+// Estado del resumen guardado en un comentario HTML oculto, para poder
+// reconstruirlo en la siguiente ejecución
+function parseSummaryState(body) {
+  const match = (body || "").match(
+    new RegExp(`<!-- ${STATE_MARKER} ([A-Za-z0-9+/=]+) -->`)
+  );
+  if (!match) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(match[1], "base64").toString("utf-8"));
+  } catch (error) {
+    console.warn("Invalid summary state, starting a new one:", error.message);
+    return null;
+  }
+}
+
+function buildStateMarker(state) {
+  const encoded = Buffer.from(JSON.stringify(state)).toString("base64");
+  return `<!-- ${STATE_MARKER} ${encoded} -->`;
+}
+
+// Combina el estado anterior con los resultados de esta ejecución. Los
+// hallazgos de los archivos revisados se reemplazan; los del resto se
+// conservan. Si solo se revisaron ciertas líneas (`changedLines`, como en una
+// revisión incremental), los anteriores fuera de ellas siguen abiertos, igual
+// que sus hilos en FindingTracker.resolveStale()
+function updateSummaryState(previous, run) {
+  const files = { ...((previous && previous.files) || {}) };
+
+  // `paths` son los archivos que siguen en el PR
+  if (run.paths) {
+    for (const path of Object.keys(files)) {
+      if (!run.paths.has(path)) {
+        delete files[path];
+      }
+    }
+  }
+
+  for (const result of run.results) {
+    if (result.error) {
+      continue;
+    }
+    const current = new Set(result.analysis.map((issue) => issue.fingerprint));
+    const kept = result.changedLines
+      ? (files[result.path] || []).filter(
+          (finding) =>
+            Number.isInteger(finding.line) &&
+            !result.changedLines.has(finding.line) &&
+            !current.has(finding.fingerprint)
+        )
+      : [];
+    const reviewed = result.analysis.map((issue) => ({
+      fingerprint: issue.fingerprint,
+      severity: issue.severity,
+      category: issue.category,
+      line: issue.line,
+      startLine: issue.startLine,
+      side: issue.side,
+      passes: issue.passes,
+      description: String(issue.description || "").slice(0, 200),
+      url: (run.links && run.links.get(issue.fingerprint)) || null,
+    }));
+    files[result.path] = [...kept, ...reviewed].sort((a, b) => a.line - b.line);
+    if (files[result.path].length === 0) {
+      delete files[result.path];
+    }
+  }
+
+  const runCounts = countBySeverity(
+    run.results.flatMap((result) => result.analysis)
+  );
+
+  return {
+    version: 1,
+    // Una revisión parcial (`/review <paths>`) no cubre el resto de cambios,
+    // así que la siguiente incremental parte del último commit revisado entero
+    lastReviewedSha:
+      run.partial && previous ? previous.lastReviewedSha : run.sha,
+    lastEvent: previous ? previous.lastEvent : null,
+    files,
+    skipped: run.skipped,
+    dismissed: (previous && previous.dismissed) || {},
+    history: [
+      ...((previous && previous.history) || []),
+      {
+        sha: run.sha,
+        date: new Date().toISOString(),
+        incremental: Boolean(run.incrementalBase),
+        filesReviewed: run.results.filter((result) => !result.error).length,
+        counts: runCounts,
+        model: run.model,
+        ...(run.usage
+          ? {
+              usage: {
+                inputTokens: run.usage.inputTokens,
+                outputTokens: run.usage.outputTokens,
+                cost: run.usage.cost,
+              },
+            }
+          : {}),
+      },
+    ].slice(-MAX_HISTORY),
+  };
+}
+
+// Quita del estado los hallazgos abiertos con esas huellas
+function removeFindings(state, fingerprints) {
+  const files = {};
+  for (const [path, findings] of Object.entries(state.files)) {
+    const remaining = findings.filter(
+      (finding) => !fingerprints.has(finding.fingerprint)
+    );
+    if (remaining.length) {
+      files[path] = remaining;
+    }
+  }
+  return { ...state, files };
+}
+
+// Registra un hallazgo descartado con `/dismiss` o `/false-positive` y lo
+// quita de los abiertos; las siguientes ejecuciones lo omiten por su huella
+function dismissFinding(state, fingerprint, dismissal) {
+  return {
+    ...removeFindings(state, new Set([fingerprint])),
+    dismissed: { ...(state.dismissed || {}), [fingerprint]: dismissal },
+  };
+}
+
+function getOverallCounts(state) {
+  return countBySeverity(Object.values(state.files).flat());
+}
+
+// Asigna los enlaces de los comentarios en línea a los hallazgos del estado
+function applyCommentLinks(state, links) {
+  for (const findings of Object.values(state.files)) {
+    for (const finding of findings) {
+      finding.url = links.get(finding.fingerprint) || finding.url || null;
+    }
+  }
+  return state;
+}
+
+// `language` elige los textos del resumen (`comment-language`)
+function renderSummary(state, { provider, model, language }) {
+  const locale = getLocale(language);
+  const text = locale.summary;
+  const severities = severityLabels(locale);
+  const counts = getOverallCounts(state);
+  const files = Object.entries(state.files);
+  const totalIssues = Object.values(counts).reduce((a, b) => a + b, 0);
+  const criticalOrHigh = counts.critical + counts.high;
+  const lastRun = state.history[state.history.length - 1];
+
+  const sections = [
+    SUMMARY_MARKER,
+    text.title,
+    totalIssues
+      ? text.openIssues(totalIssues, files.length, lastRun.sha.slice(0, 7))
+      : text.noIssues(lastRun.sha.slice(0, 7)),
+  ];
+
+  if (criticalOrHigh) {
+    sections.push(text.attention(criticalOrHigh));
+  }
+
+  if (totalIssues) {
+    sections.push(
+      [
+        `| ${text.severity} | ${text.count} |`,
+        "|----------|-------|",
+        ...severities.map(({ key, label }) => `| ${label} | ${counts[key]} |`),
+      ].join("\n")
+    );
+
+    sections.push(
+      `${text.findingsByFile}\n` +
+        files
+          .map(
+            ([path, findings]) => `<details>
+<summary><code>${path}</code>: ${text.fileIssues(findings.length)}</summary>
+
+${findings.map((finding) => renderFinding(finding, locale)).join("\n")}
+
+</details>`
+          )
+          .join("\n")
+    );
+  }
+
+  // Los archivos que quedaron fuera por `max-files` van en su propia
+  // sección, ordenados por riesgo
+  const deprioritized = state.skipped.filter(
+    ({ reason }) => reason === "max-files"
+  );
+  const notReviewed = state.skipped.filter(
+    ({ reason }) => reason !== "max-files"
+  );
+
+  if (notReviewed.length) {
+    sections.push(
+      `${text.notReviewed}\n` +
+        notReviewed
+          .map(
+            ({ path, reason, detail }) =>
+              `- \`${path}\`: ${text.skipReasons[reason] || reason}${
+                detail ? ` (${detail})` : ""
+              }`
+          )
+          .join("\n")
+    );
+  }
+
+  if (deprioritized.length) {
+    sections.push(
+      `<details>
+<summary>${text.deprioritized(deprioritized.length)}</summary>
+
+${text.deprioritizedNote}
+
+${deprioritized
+  .map(
+    ({ path, score }) =>
+      `- \`${path}\`${score !== undefined ? ` (${text.riskScore(score)})` : ""}`
+  )
+  .join("\n")}
+
+</details>`
+    );
+  }
+
+  const dismissed = Object.values(state.dismissed || {});
+  if (dismissed.length) {
+    sections.push(
+      `<details>
+<summary>${text.dismissed(dismissed.length)}</summary>
+
+${dismissed.map((entry) => renderDismissal(entry, locale)).join("\n")}
+
+</details>`
+    );
+  }
+
+  const columns = [
+    text.columns.commit,
+    text.columns.date,
+    text.columns.type,
+    text.columns.files,
+    ...SEVERITY_KEYS.map((key) => locale.severities[key]),
+    text.columns.tokens,
+    text.columns.cost,
+    text.columns.model,
+  ];
+  sections.push(
+    `<details>
+<summary>${text.history(state.history.length)}</summary>
+
+| ${columns.join(" | ")} |
+|${columns.map(() => "---").join("|")}|
+${state.history
+  .map(
+    (entry) =>
+      `| ${entry.sha.slice(0, 7)} | ${entry.date
+        .slice(0, 16)
+        .replace("T", " ")} | ${
+        entry.incremental ? text.incremental : text.full
+      } | ${entry.filesReviewed} | ${SEVERITY_KEYS.map(
+        (key) => entry.counts[key] || 0
+      ).join(" | ")} | ${
+        entry.usage
+          ? formatTokens(entry.usage.inputTokens + entry.usage.outputTokens)
+          : "-"
+      } | ${entry.usage ? formatCost(entry.usage.cost) : "-"} | ${
+        entry.model
+      } |`
+  )
+  .join("\n")}
+
+</details>`
+  );
+
+  sections.push(
+    `*${text.footer(provider, model)}${
+      lastRun.usage && lastRun.usage.inputTokens + lastRun.usage.outputTokens
+        ? ` ${text.usage(
+            formatTokens(lastRun.usage.inputTokens),
+            formatTokens(lastRun.usage.outputTokens),
+            formatCost(lastRun.usage.cost)
+          )}`
+        : ""
+    }*`
+  );
+  sections.push(buildStateMarker(state));
+
+  return sections.join("\n\n");
+}
+
+function formatTokens(tokens) {
+  return tokens.toLocaleString("en-US");
+}
+
+function renderFinding(finding, locale) {
+  const label =
+    (severityLabels(locale).find(({ key }) => key === finding.severity) || {})
+      .label || finding.severity;
+  const location = formatLineRange(finding, locale);
+  const passes = formatPasses(finding.passes, locale);
+  return `- ${label} ${
+    finding.url ? `[${location}](${finding.url})` : location
+  }: ${finding.description}${passes ? ` _(${passes.join(", ")})_` : ""}`;
+}
+
+// Nombres de las pasadas que reportaron un hallazgo; null si solo lo hizo la
+// revisión general, que es la única cuando no se configuran `passes`
+function formatPasses(passes, locale) {
+  if (!passes || passes.every((pass) => pass === "general")) {
+    return null;
+  }
+  return passes.map((pass) => locale.passes[pass] || pass);
+}
+
+function renderDismissal(dismissal, locale) {
+  const location = `\`${dismissal.path}\` ${formatLineRange(
+    dismissal,
+    locale
+  )}`;
+  return `- ${dismissal.url ? `[${location}](${dismissal.url})` : location}: ${
+    dismissal.description
+  } — ${locale.summary.dismissal(dismissal.kind, dismissal.by)}${
+    dismissal.reason ? `: ${dismissal.reason}` : ""
+  }`;
+}
+
+module.exports = {
+  SUMMARY_MARKER,
+  SEVERITIES,
+  SKIP_REASONS,
+  countBySeverity,
+  parseSummaryState,
+  updateSummaryState,
+  removeFindings,
+  dismissFinding,
+  applyCommentLinks,
+  getOverallCounts,
+  renderSummary,
+  formatPasses,
+};
@@ -0,0 +1,230 @@
+const {
+  SUMMARY_MARKER,
+  countBySeverity,
+  parseSummaryState,
+  updateSummaryState,
+  dismissFinding,
+  getOverallCounts,
+  renderSummary,
+} = require("./summary");
+const { isGateFailed } = require("./check-run");
+
+function finding(overrides = {}) {
+  return {
+    fingerprint: "fp-1",
+    severity: "critical",
+    category: "security",
+    line: 3,
+    side: "RIGHT",
+    description: "eval on input",
+    ...overrides,
+  };
+}
+
+function run(results, overrides = {}) {
+  return {
+    sha: "a".repeat(40),
+    results,
+    skipped: [],
+    model: "model",
+    ...overrides,
+  };
+}
+
+describe("countBySeverity", () => {
+  it("counts findings per severity key", () => {
+    expect(
+      countBySeverity([
+        finding(),
+        finding({ severity: "low" }),
+        finding({ severity: "low" }),
+      ])
+    ).toEqual({ critical: 1, high: 0, medium: 0, low: 2, info: 0 });
+  });
+});
+
+describe("updateSummaryState", () => {
+  it("replaces the findings of the files reviewed in full", () => {
+    const previous = updateSummaryState(
+      null,
+      run([{ path: "a.js", analysis: [finding()], changedLines: null }])
+    );
+    const state = updateSummaryState(
+      previous,
+      run([{ path: "a.js", analysis: [], changedLines: null }])
+    );
+
+    expect(state.files).toEqual({});
+  });
+
+  it("keeps the findings of files that were not reviewed again", () => {
+    const previous = updateSummaryState(
+      null,
+      run([{ path: "a.js", analysis: [finding()], changedLines: null }])
+    );
+    const state = updateSummaryState(
+      previous,
+      run([{ path: "b.js", analysis: [], changedLines: null }])
+    );
+
+    expect(state.files["a.js"]).toHaveLength(1);
+  });
+
+  it("keeps open findings outside the lines of an incremental review", () => {
+    const previous = updateSummaryState(
+      null,
+      run([
+        {
+          path: "a.js",
+          analysis: [finding()],
+          changedLines: new Set([1, 2, 3]),
+        },
+      ])
+    );
+    expect(isGateFailed(getOverallCounts(previous), "high")).toBe(true);
+
+    // Un push que solo cambia la línea 10 no toca el hallazgo de la línea 3
+    const state = updateSummaryState(
+      previous,
+      run(
+        [
+          {
+            path: "a.js",
+            analysis: [
+              finding({ fingerprint: "fp-2", severity: "low", line: 10 }),
+            ],
+            changedLines: new Set([10]),
+          },
+        ],
+        { sha: "b".repeat(40), incrementalBase: "a".repeat(40) }
+      )
+    );
+
+    expect(state.files["a.js"].map((item) => item.fingerprint)).toEqual([
+      "fp-1",
+      "fp-2",
+    ]);
+    expect(getOverallCounts(state).critical).toBe(1);
+    expect(isGateFailed(getOverallCounts(state), "high")).toBe(true);
+    expect(state.history[1]).toMatchObject({
+      incremental: true,
+      counts: { critical: 0, low: 1 },
+    });
+  });
+
+  it("drops findings on the reviewed lines that no longer appear", () => {
+    const previous = updateSummaryState(
+      null,
+      run([
+        {
+          path: "a.js",
+          analysis: [finding(), finding({ fingerprint: "fp-2", line: 8 })],
+          changedLines: new Set([3, 8]),
+        },
+      ])
+    );
+    const state = updateSummaryState(
+      previous,
+      run([{ path: "a.js", analysis: [], changedLines: new Set([3]) }])
+    );
+
+    expect(state.files["a.js"].map((item) => item.fingerprint)).toEqual([
+      "fp-2",
+    ]);
+  });
+
+  it("does not duplicate a finding reported again on another line", () => {
+    const previous = updateSummaryState(
+      null,
+      run([{ path: "a.js", analysis: [finding()], changedLines: new Set([3]) }])
+    );
+    const state = updateSummaryState(
+      previous,
+      run([
+        {
+          path: "a.js",
+          analysis: [finding({ line: 5 })],
+          changedLines: new Set([5]),
+        },
+      ])
+    );
+
+    expect(state.files["a.js"]).toEqual([
+      expect.objectContaining({ fingerprint: "fp-1", line: 5 }),
+    ]);
+  });
+
+  it("ignores files whose analysis failed", () => {
+    const previous = updateSummaryState(
+      null,
+      run([{ path: "a.js", analysis: [finding()], changedLines: null }])
+    );
+    const state = updateSummaryState(
+      previous,
+      run([{ path: "a.js", analysis: [], error: "timeout" }])
+    );
+
+    expect(state.files["a.js"]).toHaveLength(1);
+  });
+
+  it("forgets files that are no longer in the pull request", () => {
+    const previous = updateSummaryState(
+      null,
+      run([{ path: "a.js", analysis: [finding()], changedLines: null }])
+    );
+    const state = updateSummaryState(
+      previous,
+      run([], { paths: new Set(["b.js"]) })
+    );
+
+    expect(state.files).toEqual({});
+  });
+
+  it("keeps the last fully reviewed commit after a partial review", () => {
+    const previous = updateSummaryState(null, run([]));
+    const state = updateSummaryState(
+      previous,
+      run([], { sha: "c".repeat(40), partial: true })
+    );
+
+    expect(state.lastReviewedSha).toBe("a".repeat(40));
+  });
+});
+
+describe("dismissFinding", () => {
+  it("moves the finding from the open ones to the dismissed ones", () => {
+    const previous = updateSummaryState(
+      null,
+      run([{ path: "a.js", analysis: [finding()], changedLines: null }])
+    );
+    const state = dismissFinding(previous, "fp-1", { kind: "dismissed" });
+
+    expect(state.files).toEqual({});
+    expect(state.dismissed["fp-1"]).toEqual({ kind: "dismissed" });
+  });
+});
+
+describe("summary state marker", () => {
+  it("survives a render and parse round trip", () => {
+    const state = updateSummaryState(
+      null,
+      run([{ path: "a.js", analysis: [finding()], changedLines: null }])
+    );
+    const body = renderSummary(state, {
+      provider: "Anthropic",
+      model: "model",
+      language: "en",
+    });
+
+    expect(body.startsWith(SUMMARY_MARKER)).toBe(true);
+    expect(parseSummaryState(body)).toEqual(state);
+  });
+
+  it("returns null for a body without a valid state", () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    expect(parseSummaryState("no state here")).toBeNull();
+    expect(
+      parseSummaryState("<!-- ai-code-review:state bm90IGpzb24= -->")
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,132 @@
+const fs = require("fs");
+const { resolveRepoPath } = require("./utils");
+const { isSecretFinding } = require("./secrets");
+const { normalizeCategory } = require("./taxonomy");
+
+const DEFAULT_BASELINE_PATH = ".ai-review-baseline.json";
+
+// Las marcas solo cuentan dentro de un comentario (//, #, /*, <!-- o --)
+const IGNORE_FILE = /(?:\/\/|#|\/\*|<!--|--)\s*ai-review-ignore-file\b/;
+const IGNORE_NEXT_LINE =
+  /(?:\/\/|#|\/\*|<!--|--)\s*ai-review-ignore-next-line\b[ \t]*([\w, \t-]*)/;
+
+function isFileIgnored(content) {
+  return IGNORE_FILE.test(content);
+}
+
+// Líneas silenciadas por `ai-review-ignore-next-line [categorías]`: línea ->
+// categorías internas, o null si se silencian todas. Las categorías se
+// aceptan en cualquier idioma; las desconocidas no silencian nada
+function parseIgnoredLines(content) {
+  const ignored = new Map();
+  content.split("\n").forEach((text, index) => {
+    const match = text.match(IGNORE_NEXT_LINE);
+    if (!match) {
+      return;
+    }
+    const names = match[1]
+      .split(/[\s,]+/)
+      .filter((category) => /^\w/.test(category));
+    ignored.set(
+      index + 2,
+      names.length ? names.map(normalizeCategory).filter(Boolean) : null
+    );
+  });
+  return ignored;
+}
+
+// Quita los hallazgos silenciados en el código o aceptados en la línea base.
+// Las marcas en línea solo aplican al archivo nuevo (lado RIGHT), y ninguna
+// de las dos a los secretos
+function applySuppressions(findings, content, baseline) {
+  const ignoredLines = parseIgnoredLines(content);
+
+  return findings.filter((finding) => {
+    if (isSecretFinding(finding)) {
+      return true;
+    }
+    if (baseline.has(finding.fingerprint)) {
+      return false;
+    }
+    if (finding.side === "LEFT") {
+      return true;
+    }
+    for (let n = finding.startLine || finding.line; n <= finding.line; n++) {
+      if (!ignoredLines.has(n)) {
+        continue;
+      }
+      const categories = ignoredLines.get(n);
+      if (!categories || categories.includes(finding.category)) {
+        return false;
+      }
+    }
+    return true;
+  });
+}
+
+// Entradas de un archivo de línea base; acepta también una lista de huellas
+function parseBaseline(text, source = DEFAULT_BASELINE_PATH) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${source}: ${error.message}`);
+  }
+
+  const entries = Array.isArray(parsed) ? parsed : parsed.findings;
+  if (!Array.isArray(entries)) {
+    throw new Error(`Invalid ${source}: expected a "findings" array`);
+  }
+  return entries
+    .map((entry) =>
+      typeof entry === "string" ? { fingerprint: entry } : entry
+    )
+    .filter((entry) => entry && typeof entry.fingerprint === "string");
+}
+
+// Lee la línea base del repositorio; sin archivo no hay hallazgos aceptados
+function readBaseline(baselinePath, workspace) {
+  const fullPath = resolveRepoPath(workspace, baselinePath);
+  if (!fs.existsSync(fullPath)) {
+    return [];
+  }
+  return parseBaseline(fs.readFileSync(fullPath, "utf-8"), baselinePath);
+}
+
+// Nueva línea base con los hallazgos actuales, sin los secretos. Las
+// entradas anteriores de los archivos revisados se sustituyen; las del resto
+// se conservan
+function buildBaseline(previous, findings, reviewedPaths = new Set()) {
+  const entries = new Map(
+    previous
+      .filter((entry) => !reviewedPaths.has(entry.path))
+      .map((entry) => [entry.fingerprint, entry])
+  );
+  for (const finding of findings.filter((item) => !isSecretFinding(item))) {
+    entries.set(finding.fingerprint, {
+      fingerprint: finding.fingerprint,
+      path: finding.path,
+      line: finding.line,
+      category: finding.category,
+      severity: finding.severity,
+      description: String(finding.description || "").slice(0, 200),
+    });
+  }
+
+  const sorted = [...entries.values()].sort(
+    (a, b) =>
+      String(a.path).localeCompare(String(b.path)) ||
+      (a.line || 0) - (b.line || 0)
+  );
+  return `${JSON.stringify({ version: 1, findings: sorted }, null, 2)}\n`;
+}
+
+module.exports = {
+  DEFAULT_BASELINE_PATH,
+  isFileIgnored,
+  parseIgnoredLines,
+  applySuppressions,
+  parseBaseline,
+  readBaseline,
+  buildBaseline,
+};
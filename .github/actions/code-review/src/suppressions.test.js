@@ -0,0 +1,169 @@
+const {
+  isFileIgnored,
+  parseIgnoredLines,
+  applySuppressions,
+  parseBaseline,
+  buildBaseline,
+} = require("./suppressions");
+
+function finding(overrides = {}) {
+  return {
+    fingerprint: "fp-1",
+    path: "a.js",
+    severity: "high",
+    category: "security",
+    line: 3,
+    side: "RIGHT",
+    description: "eval on input",
+    ...overrides,
+  };
+}
+
+describe("isFileIgnored", () => {
+  it("only honors the marker inside a comment", () => {
+    expect(isFileIgnored("// ai-review-ignore-file\nconst a = 1;")).toBe(true);
+    expect(isFileIgnored("<!-- ai-review-ignore-file -->")).toBe(true);
+    expect(isFileIgnored('const marker = "ai-review-ignore-file";')).toBe(
+      false
+    );
+  });
+});
+
+describe("parseIgnoredLines", () => {
+  it("maps the line after each marker to its categories", () => {
+    const content = [
+      "// ai-review-ignore-next-line",
+      "eval(input);",
+      "# ai-review-ignore-next-line security, performance",
+      "query(sql);",
+    ].join("\n");
+
+    expect(parseIgnoredLines(content)).toEqual(
+      new Map([
+        [2, null],
+        [4, ["security", "performance"]],
+      ])
+    );
+  });
+
+  it("normalizes the categories and ignores unknown ones", () => {
+    const content = [
+      "// ai-review-ignore-next-line Seguridad, RENDIMIENTO",
+      "query(sql);",
+      "// ai-review-ignore-next-line typo",
+      "eval(input);",
+    ].join("\n");
+
+    expect(parseIgnoredLines(content)).toEqual(
+      new Map([
+        [2, ["security", "performance"]],
+        [4, []],
+      ])
+    );
+  });
+});
+
+describe("applySuppressions", () => {
+  const content = [
+    "const a = 1;",
+    "// ai-review-ignore-next-line style",
+    "eval(input);",
+    "const b = 2;",
+  ].join("\n");
+
+  it("drops findings silenced for their category", () => {
+    expect(
+      applySuppressions([finding({ category: "style" })], content, new Set())
+    ).toEqual([]);
+    expect(applySuppressions([finding()], content, new Set())).toHaveLength(1);
+  });
+
+  it("drops ranges that cover a silenced line", () => {
+    expect(
+      applySuppressions(
+        [finding({ category: "style", startLine: 3, line: 4 })],
+        content,
+        new Set()
+      )
+    ).toEqual([]);
+  });
+
+  it("does not apply the inline markers to removed code", () => {
+    expect(
+      applySuppressions(
+        [finding({ category: "style", side: "LEFT" })],
+        content,
+        new Set()
+      )
+    ).toHaveLength(1);
+  });
+
+  it("drops findings accepted in the baseline", () => {
+    expect(applySuppressions([finding()], "", new Set(["fp-1"]))).toEqual([]);
+  });
+
+  it("never suppresses secrets", () => {
+    const secret = finding({ pass: "secrets", passes: ["secrets"] });
+    const silenced = "const a = 1;\n// ai-review-ignore-next-line\nkey();";
+
+    expect(applySuppressions([secret], silenced, new Set(["fp-1"]))).toEqual([
+      secret,
+    ]);
+  });
+});
+
+describe("parseBaseline", () => {
+  it("reads the findings of the file and plain fingerprints", () => {
+    expect(
+      parseBaseline('{"version": 1, "findings": [{"fingerprint": "fp-1"}]}')
+    ).toEqual([{ fingerprint: "fp-1" }]);
+    expect(parseBaseline('["fp-1", 3, null]')).toEqual([
+      { fingerprint: "fp-1" },
+    ]);
+  });
+
+  it("reports invalid files with their path", () => {
+    expect(() => parseBaseline("{", "baseline.json")).toThrow(
+      /^Invalid JSON in baseline.json/
+    );
+    expect(() => parseBaseline("{}", "baseline.json")).toThrow(
+      'Invalid baseline.json: expected a "findings" array'
+    );
+  });
+});
+
+describe("buildBaseline", () => {
+  it("replaces the entries of the reviewed files and keeps the rest", () => {
+    const previous = [
+      { fingerprint: "old-a", path: "a.js", line: 1 },
+      { fingerprint: "old-b", path: "b.js", line: 1 },
+    ];
+    const text = buildBaseline(
+      previous,
+      [finding({ line: 9 }), finding({ fingerprint: "fp-2", line: 2 })],
+      new Set(["a.js"])
+    );
+
+    expect(text.endsWith("}\n")).toBe(true);
+    expect(JSON.parse(text).findings.map((entry) => entry.fingerprint)).toEqual(
+      ["fp-2", "fp-1", "old-b"]
+    );
+  });
+
+  it("leaves secrets out", () => {
+    const text = buildBaseline(
+      [],
+      [finding(), finding({ fingerprint: "fp-2", passes: ["secrets"] })]
+    );
+
+    expect(JSON.parse(text).findings.map((entry) => entry.fingerprint)).toEqual(
+      ["fp-1"]
+    );
+  });
+
+  it("truncates long descriptions", () => {
+    const text = buildBaseline([], [finding({ description: "x".repeat(300) })]);
+
+    expect(JSON.parse(text).findings[0].description).toHaveLength(200);
+  });
+});
@@ -0,0 +1,187 @@
+// Severidades y categorías internas, independientes del idioma. El modelo y
+// las configuraciones antiguas pueden usar otros nombres: se normalizan aquí
+
+// De mayor a menor gravedad
+const SEVERITIES = ["critical", "high", "medium", "low", "info"];
+
+const CATEGORIES = [
+  "security",
+  "performance",
+  "correctness",
+  "style",
+  "maintainability",
+];
+
+const SEVERITY_ICONS = {
+  critical: "🔴",
+  high: "🟠",
+  medium: "🟡",
+  low: "🔵",
+  info: "⚪",
+};
+
+// Alias en minúsculas y sin tildes
+const SEVERITY_ALIASES = {
+  critical: [
+    "critica",
+    "critico",
+    "blocker",
+    "bloqueante",
+    "severe",
+    "kritisch",
+    "critique",
+    "p0",
+  ],
+  high: [
+    "alta",
+    "alto",
+    "major",
+    "mayor",
+    "important",
+    "importante",
+    "hoch",
+    "haute",
+    "eleve",
+    "elevee",
+    "error",
+    "p1",
+  ],
+  medium: [
+    "media",
+    "medio",
+    "moderate",
+    "moderada",
+    "moderado",
+    "normal",
+    "mittel",
+    "moyenne",
+    "moyen",
+    "warning",
+    "p2",
+  ],
+  low: ["baja", "bajo", "minor", "menor", "niedrig", "faible", "basse", "p3"],
+  info: [
+    "informational",
+    "information",
+    "informativa",
+    "informativo",
+    "nit",
+    "nitpick",
+    "trivial",
+    "hint",
+    "note",
+    "nota",
+    "suggestion",
+    "sugerencia",
+  ],
+};
+
+const CATEGORY_ALIASES = {
+  security: [
+    "seguridad",
+    "securite",
+    "sicherheit",
+    "vulnerability",
+    "vulnerabilidad",
+    "sec",
+  ],
+  performance: [
+    "rendimiento",
+    "desempeno",
+    "eficiencia",
+    "efficiency",
+    "leistung",
+    "perf",
+  ],
+  correctness: [
+    "correccion",
+    "bug",
+    "bugs",
+    "logic",
+    "logica",
+    "error",
+    "errors",
+    "errores",
+    "reliability",
+    "fiabilidad",
+    "correctitud",
+  ],
+  style: [
+    "estilo",
+    "formatting",
+    "formato",
+    "readability",
+    "legibilidad",
+    "naming",
+    "nomenclatura",
+    "lint",
+  ],
+  maintainability: [
+    "mantenibilidad",
+    "design",
+    "diseno",
+    "architecture",
+    "arquitectura",
+    "complexity",
+    "complejidad",
+    "documentation",
+    "documentacion",
+    "best-practices",
+    "buenas-practicas",
+  ],
+};
+
+function buildLookup(keys, aliases) {
+  const lookup = new Map();
+  for (const key of keys) {
+    lookup.set(key, key);
+    for (const alias of aliases[key]) {
+      lookup.set(alias, key);
+    }
+  }
+  return lookup;
+}
+
+const SEVERITY_LOOKUP = buildLookup(SEVERITIES, SEVERITY_ALIASES);
+const CATEGORY_LOOKUP = buildLookup(CATEGORIES, CATEGORY_ALIASES);
+
+// "CRÍTICA", "Critical " o "best practices" -> "critica", "critical",
+// "best-practices"
+function simplify(value) {
+  return String(value)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_]+/g, "-");
+}
+
+// Clave interna de una severidad en cualquier idioma; null si no se reconoce
+function normalizeSeverity(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return SEVERITY_LOOKUP.get(simplify(value)) || null;
+}
+
+function normalizeCategory(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  return CATEGORY_LOOKUP.get(simplify(value)) || null;
+}
+
+// Nivel numérico para comparar severidades; 0 si no se reconoce
+function severityLevel(severity) {
+  const key = normalizeSeverity(severity);
+  return key ? SEVERITIES.length - SEVERITIES.indexOf(key) : 0;
+}
+
+module.exports = {
+  SEVERITIES,
+  CATEGORIES,
+  SEVERITY_ICONS,
+  normalizeSeverity,
+  normalizeCategory,
+  severityLevel,
+};
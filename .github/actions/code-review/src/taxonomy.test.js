@@ -0,0 +1,55 @@
+const {
+  SEVERITIES,
+  normalizeSeverity,
+  normalizeCategory,
+  severityLevel,
+} = require("./taxonomy");
+
+describe("normalizeSeverity", () => {
+  it("accepts the internal keys in any case", () => {
+    expect(normalizeSeverity("HIGH")).toBe("high");
+    expect(normalizeSeverity(" Critical ")).toBe("critical");
+  });
+
+  it("maps aliases in other languages, with or without accents", () => {
+    expect(normalizeSeverity("CRÍTICA")).toBe("critical");
+    expect(normalizeSeverity("ALTA")).toBe("high");
+    expect(normalizeSeverity("Élevée")).toBe("high");
+    expect(normalizeSeverity("warning")).toBe("medium");
+    expect(normalizeSeverity("nitpick")).toBe("info");
+  });
+
+  it("returns null for unknown or missing values", () => {
+    expect(normalizeSeverity("urgent")).toBeNull();
+    expect(normalizeSeverity(undefined)).toBeNull();
+    expect(normalizeSeverity(null)).toBeNull();
+  });
+});
+
+describe("normalizeCategory", () => {
+  it("maps aliases and joins words with dashes", () => {
+    expect(normalizeCategory("Seguridad")).toBe("security");
+    expect(normalizeCategory("Best Practices")).toBe("maintainability");
+    expect(normalizeCategory("buenas_prácticas")).toBe("maintainability");
+    expect(normalizeCategory("naming")).toBe("style");
+  });
+
+  it("returns null for unknown values", () => {
+    expect(normalizeCategory("testing")).toBeNull();
+    expect(normalizeCategory(null)).toBeNull();
+  });
+});
+
+describe("severityLevel", () => {
+  it("orders the severities from most to least serious", () => {
+    const levels = SEVERITIES.map(severityLevel);
+
+    expect(levels).toEqual([...levels].sort((a, b) => b - a));
+    expect(severityLevel("ALTA")).toBe(severityLevel("high"));
+  });
+
+  it("is 0 for unknown severities", () => {
+    expect(severityLevel("urgent")).toBe(0);
+    expect(severityLevel("info")).toBeGreaterThan(0);
+  });
+});
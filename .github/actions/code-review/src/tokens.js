@@ -0,0 +1,50 @@
+// Estimación aproximada de tokens sin tokenizador: el código ronda los 3,5
+// caracteres por token en los modelos soportados. Se redondea hacia arriba
+// para no quedarse corto
+const CHARS_PER_TOKEN = 3.5;
+
+// Ventana de contexto (tokens de entrada + salida) por familia de modelo. Se
+// usa la primera coincidencia, así que los patrones más específicos van antes
+const CONTEXT_WINDOWS = [
+  [/anthropic\.claude-v2|anthropic\.claude-instant/, 100000],
+  [/claude/, 200000],
+  [/nova-micro/, 128000],
+  [/nova/, 300000],
+  [/titan-text-premier/, 32000],
+  [/titan-text-lite|titan-text-express|titan/, 8000],
+  [/llama3-[1-3]|llama-3\.[1-3]|llama3\.[1-3]/, 128000],
+  [/llama/, 8000],
+  [/mistral-large|mixtral/, 32000],
+  [/mistral/, 32000],
+  [/command-r/, 128000],
+  [/gpt-4o|gpt-4\.1|gpt-4-turbo|o1|o3|o4/, 128000],
+  [/gpt-3\.5/, 16000],
+];
+
+const DEFAULT_CONTEXT_WINDOW = 32000;
+
+// Tokens de respuesta por defecto (`max-tokens`)
+const DEFAULT_MAX_TOKENS = 4096;
+
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / CHARS_PER_TOKEN);
+}
+
+// `context-window` en la configuración tiene prioridad sobre la tabla, para
+// modelos que no aparecen en ella (por ejemplo en Ollama)
+function getContextWindow(config) {
+  if (config.contextWindow) {
+    return config.contextWindow;
+  }
+  const modelId = (config.modelId || "").toLowerCase();
+  const match = CONTEXT_WINDOWS.find(([pattern]) => pattern.test(modelId));
+  return match ? match[1] : DEFAULT_CONTEXT_WINDOW;
+}
+
+module.exports = {
+  CHARS_PER_TOKEN,
+  estimateTokens,
+  getContextWindow,
+  DEFAULT_CONTEXT_WINDOW,
+  DEFAULT_MAX_TOKENS,
+};
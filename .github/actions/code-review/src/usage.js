@@ -0,0 +1,115 @@
+// Precios por defecto en USD por millón de tokens de entrada y de salida. Se
+// usa el primer patrón contenido en el id del modelo, así que los más
+// específicos van antes. `pricing` en la configuración tiene prioridad
+const DEFAULT_PRICES = [
+  ["claude-3-5-haiku", { input: 0.8, output: 4 }],
+  ["claude-3-haiku", { input: 0.25, output: 1.25 }],
+  ["claude-haiku-4", { input: 1, output: 5 }],
+  ["claude-3-opus", { input: 15, output: 75 }],
+  ["claude-opus-4", { input: 15, output: 75 }],
+  ["claude-3-5-sonnet", { input: 3, output: 15 }],
+  ["claude-3-7-sonnet", { input: 3, output: 15 }],
+  ["claude-sonnet-4", { input: 3, output: 15 }],
+  ["nova-micro", { input: 0.035, output: 0.14 }],
+  ["nova-lite", { input: 0.06, output: 0.24 }],
+  ["nova-pro", { input: 0.8, output: 3.2 }],
+  ["titan-text-lite", { input: 0.15, output: 0.2 }],
+  ["titan-text-express", { input: 0.2, output: 0.6 }],
+  ["gpt-4o-mini", { input: 0.15, output: 0.6 }],
+  ["gpt-4o", { input: 2.5, output: 10 }],
+];
+
+// Precio del modelo configurado: primero `pricing` (id exacto o contenido en
+// el id del modelo) y después la tabla por defecto. null si no se conoce
+function resolvePrice(modelId, pricing = {}) {
+  const id = (modelId || "").toLowerCase();
+  const configured = Object.entries(pricing).map(([key, price]) => [
+    key.toLowerCase(),
+    price,
+  ]);
+  const exact = configured.find(([key]) => key === id);
+  if (exact) {
+    return exact[1];
+  }
+  const match = [...configured, ...DEFAULT_PRICES].find(([key]) =>
+    id.includes(key)
+  );
+  return match ? match[1] : null;
+}
+
+function costOf(usage, price) {
+  if (!price) {
+    return null;
+  }
+  return (
+    (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1e6
+  );
+}
+
+// Acumula los tokens consumidos por archivo y en total, y controla los
+// presupuestos `max-cost-per-run` y `max-tokens-per-run`
+class UsageTracker {
+  constructor(config) {
+    this.price = resolvePrice(config.modelId, config.pricing);
+    this.maxCost = config.maxCostPerRun || 0;
+    this.maxTokens = config.maxTokensPerRun || 0;
+    this.total = { inputTokens: 0, outputTokens: 0, requests: 0 };
+    this.files = new Map();
+
+    if (this.maxCost && !this.price) {
+      console.warn(
+        `No price known for ${config.modelId}, max-cost-per-run cannot be enforced. Add it to "pricing" in the review config`
+      );
+    }
+  }
+
+  record(path, usage) {
+    if (!usage) {
+      return;
+    }
+    if (!this.files.has(path)) {
+      this.files.set(path, { inputTokens: 0, outputTokens: 0, requests: 0 });
+    }
+    for (const entry of [this.total, this.files.get(path)]) {
+      entry.inputTokens += usage.inputTokens;
+      entry.outputTokens += usage.outputTokens;
+      entry.requests++;
+    }
+  }
+
+  get cost() {
+    return costOf(this.total, this.price);
+  }
+
+  // Agotado el presupuesto no se empiezan más archivos
+  isExhausted() {
+    const tokens = this.total.inputTokens + this.total.outputTokens;
+    return (
+      (this.maxTokens > 0 && tokens >= this.maxTokens) ||
+      (this.maxCost > 0 && this.cost !== null && this.cost >= this.maxCost)
+    );
+  }
+
+  toJSON() {
+    return {
+      ...this.total,
+      cost: this.cost,
+      files: Object.fromEntries(
+        [...this.files].map(([path, usage]) => [
+          path,
+          { ...usage, cost: costOf(usage, this.price) },
+        ])
+      ),
+    };
+  }
+}
+
+// "$0.0123" o "unknown" si no hay precio para el modelo
+function formatCost(cost) {
+  if (cost === null || cost === undefined) {
+    return "unknown";
+  }
+  return `$${cost < 0.01 ? cost.toFixed(4) : cost.toFixed(2)}`;
+}
+
+module.exports = { UsageTracker, resolvePrice, formatCost, DEFAULT_PRICES };
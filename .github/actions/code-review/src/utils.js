@@ -1,4 +1,7 @@
+const fs = require("fs");
+const path = require("path");
 const { minimatch } = require("minimatch");
+const { getLocale } = require("./locales");
 
 function parseExcludePatterns(input) {
   if (!input) return [];
@@ -8,22 +11,278 @@ function parseExcludePatterns(input) {
     .filter((pattern) => pattern.length > 0);
 }
 
-function shouldAnalyzeFile(filename, excludePatterns) {
-  return !excludePatterns.some((pattern) => minimatch(filename, pattern));
+function parseContextLines(input) {
+  const value = parseInt(input, 10);
+  return Number.isNaN(value) || value < 0 ? 3 : value;
 }
 
-function severityLevel(severity) {
-  const levels = {
-    CRÍTICA: 4,
-    ALTA: 3,
-    MEDIA: 2,
-    BAJA: 1,
+// Convierte el presupuesto de tiempo en minutos a milisegundos; 0 o vacío
+// significa sin límite
+function parseTimeBudget(input) {
+  const minutes = parseFloat(input);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes * 60 * 1000 : 0;
+}
+
+// Tokens para el contexto de otros archivos; 0 lo desactiva
+function parseContextBudget(input) {
+  const value = parseInt(input, 10);
+  return Number.isNaN(value) || value < 0 ? 2000 : value;
+}
+
+// Lista de pasadas de revisión separadas por comas o espacios; vacía usa las
+// de por defecto
+function parsePasses(input) {
+  return (input || "")
+    .split(/[\s,]+/)
+    .map((pass) => pass.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function matchesAny(filename, patterns) {
+  return patterns.some((pattern) =>
+    minimatch(filename, pattern, { dot: true })
+  );
+}
+
+// Configuración efectiva para un archivo: la global con las overrides cuyos
+// globs coinciden aplicadas en orden (la última gana)
+function resolvePathConfig(config, filename) {
+  const extension = filename.split(".").pop().toLowerCase();
+  const categories = config.categories || { focus: [], ignore: [] };
+  const resolved = {
+    commentThreshold: config.commentThreshold,
+    instructions: [
+      config.instructions,
+      (config.languages || {})[extension],
+    ].filter(Boolean),
+    categories: {
+      focus: [...categories.focus],
+      ignore: [...categories.ignore],
+    },
+    // Directorios de plantillas de prompt, de mayor a menor prioridad
+    promptDirs: [config.promptsPath].filter(Boolean),
+  };
+
+  for (const override of config.overrides || []) {
+    if (!matchesAny(filename, override.paths)) {
+      continue;
+    }
+    if (override.commentThreshold) {
+      resolved.commentThreshold = override.commentThreshold;
+    }
+    if (override.instructions) {
+      resolved.instructions.push(override.instructions);
+    }
+    if (override.categories) {
+      resolved.categories = override.categories;
+    }
+    if (override.prompts) {
+      resolved.promptDirs.unshift(override.prompts);
+    }
+  }
+
+  return resolved;
+}
+
+// Ruta absoluta de un archivo del repositorio indicado en la configuración
+// (`prompts`, `guidelines`, `baseline`). Se rechazan las que salen del
+// workspace, también a través de un enlace simbólico: su contenido acabaría
+// en el prompt o en un comentario del pull request
+function resolveRepoPath(workspace, relativePath) {
+  const root = fs.realpathSync(path.resolve(workspace));
+  let fullPath = path.resolve(root, relativePath);
+  if (fs.existsSync(fullPath)) {
+    fullPath = fs.realpathSync(fullPath);
+  }
+
+  const relative = path.relative(root, fullPath);
+  if (
+    relative === ".." ||
+    relative.startsWith(`..${path.sep}`) ||
+    path.isAbsolute(relative)
+  ) {
+    throw new Error(`${relativePath} is outside the repository workspace`);
+  }
+  return fullPath;
+}
+
+function shouldAnalyzeFile(filename, config) {
+  return !matchesAny(filename, config.excludePatterns);
+}
+
+// Normaliza la ubicación de un hallazgo: acepta "line": [24, 27],
+// "startLine"/"start_line" y "endLine"/"end_line", y deja siempre
+// `line` (última línea), `startLine` opcional y `side` (LEFT o RIGHT)
+function normalizeIssueLocation(issue) {
+  let startLine = issue.startLine ?? issue.start_line;
+  let line = issue.endLine ?? issue.end_line ?? issue.line;
+
+  if (Array.isArray(line)) {
+    [startLine, line] = [line[0], line[line.length - 1]];
+  } else if (typeof line === "string" && /^\d+\s*-\s*\d+$/.test(line)) {
+    [startLine, line] = line.split("-");
+  }
+
+  startLine = parseInt(startLine, 10);
+  line = parseInt(line, 10) || null;
+
+  const normalized = {
+    ...issue,
+    line,
+    side: String(issue.side || "").toUpperCase() === "LEFT" ? "LEFT" : "RIGHT",
   };
-  return levels[severity] || 0;
+  delete normalized.start_line;
+  delete normalized.endLine;
+  delete normalized.end_line;
+
+  if (line && startLine && startLine < line) {
+    normalized.startLine = startLine;
+  } else {
+    delete normalized.startLine;
+  }
+
+  return normalized;
+}
+
+// `locale` elige el idioma ("line 3" o "línea 3"); inglés por defecto
+function formatLineRange(issue, locale = getLocale()) {
+  return locale.lineRange(issue.startLine, issue.line);
+}
+
+// Convierte la solución del modelo en código de reemplazo: quita los bloques
+// ``` y, si viene en formato diff, conserva solo las líneas añadidas y de contexto
+function toReplacementCode(solution) {
+  if (!solution || typeof solution !== "string") {
+    return null;
+  }
+
+  let code = solution.replace(/^\s*```[^\n]*\n([\s\S]*?)\n?```\s*$/, "$1");
+  const lines = code.split("\n");
+  const looksLikeDiff =
+    lines.some((line) => /^[+-]/.test(line)) &&
+    lines.every((line) => line === "" || /^[+\- ]/.test(line));
+
+  if (looksLikeDiff) {
+    code = lines
+      .filter((line) => !line.startsWith("-"))
+      .map((line) => line.slice(1))
+      .join("\n");
+  }
+
+  return code.replace(/\s+$/, "");
+}
+
+// Envuelve código en un bloque ``` usando una valla más larga que cualquier
+// secuencia de backticks que contenga
+function fenceCode(language, code) {
+  const longest = Math.max(
+    2,
+    ...(code.match(/`+/g) || []).map((ticks) => ticks.length)
+  );
+  const fence = "`".repeat(longest + 1);
+  return `${fence}${language}\n${code}\n${fence}`;
+}
+
+const FIX_MARKER = "ai-code-review:fix";
+
+// Serializa el fix en un comentario HTML oculto para que /apply-fix pueda
+// recuperar el rango exacto y las líneas originales
+function buildFixMetadata(fix) {
+  const encoded = Buffer.from(JSON.stringify(fix)).toString("base64");
+  return `<!-- ${FIX_MARKER} ${encoded} -->`;
+}
+
+function extractFixMetadata(commentBody) {
+  const match = (commentBody || "").match(
+    new RegExp(`<!-- ${FIX_MARKER} ([A-Za-z0-9+/=]+) -->`)
+  );
+  if (!match) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(match[1], "base64").toString("utf-8"));
+  } catch (error) {
+    console.warn("Invalid fix metadata in comment:", error.message);
+    return null;
+  }
+}
+
+const FINGERPRINT_MARKER = "ai-code-review:fingerprint";
+
+function buildFingerprintMarker(fingerprint) {
+  return `<!-- ${FINGERPRINT_MARKER} ${fingerprint} -->`;
+}
+
+function extractFingerprint(body) {
+  const match = (body || "").match(
+    new RegExp(`<!-- ${FINGERPRINT_MARKER} ([0-9a-f]+) -->`)
+  );
+  return match ? match[1] : null;
+}
+
+const REPLY_MARKER = "<!-- ai-code-review:reply -->";
+
+// Marca las respuestas del bot en los hilos para que no las tome por
+// mensajes de los desarrolladores
+function markAsReply(body) {
+  return `${body}\n\n${REPLY_MARKER}`;
+}
+
+// Comentarios y revisiones publicados por el bot. Con GITHUB_TOKEN o el
+// token de una GitHub App no se puede consultar el login (`botLogin` es null)
+// y se acepta cualquier cuenta de tipo Bot
+function isWrittenByBot(item, botLogin = null) {
+  const user = item.user || {};
+  return botLogin ? user.login === botLogin : user.type === "Bot";
+}
+
+const REVIEW_MARKER = "<!-- ai-code-review:review -->";
+
+// Marca las revisiones del bot para poder descartar después las que pedían
+// cambios
+function markAsReview(body) {
+  return `${body}\n\n${REVIEW_MARKER}`;
+}
+
+// Revisiones del bot: el marcador solo no basta, cualquiera puede copiarlo
+function isBotReview(review, botLogin = null) {
+  return (
+    isWrittenByBot(review, botLogin) &&
+    (review.body || "").includes(REVIEW_MARKER)
+  );
+}
+
+// Comentarios escritos por el bot (o por otro bot): se ignoran para no
+// entrar en bucles de respuestas
+function isBotComment(comment) {
+  return (
+    (comment.user && comment.user.type === "Bot") ||
+    /<!-- ai-code-review:/.test(comment.body || "")
+  );
 }
 
 module.exports = {
   parseExcludePatterns,
+  parseContextLines,
+  parseTimeBudget,
+  parseContextBudget,
+  parsePasses,
   shouldAnalyzeFile,
-  severityLevel,
+  matchesAny,
+  resolvePathConfig,
+  resolveRepoPath,
+  normalizeIssueLocation,
+  formatLineRange,
+  toReplacementCode,
+  fenceCode,
+  buildFixMetadata,
+  extractFixMetadata,
+  buildFingerprintMarker,
+  extractFingerprint,
+  markAsReply,
+  markAsReview,
+  isBotReview,
+  isBotComment,
+  isWrittenByBot,
 };